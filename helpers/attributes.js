@@ -0,0 +1,333 @@
+// helpers/attributes.js
+//
+// Turns the Features bullets and size-chart text of a product page into
+// filterable attributes (material, heel height, origin, care, fit, closure),
+// exported as Shopify metafield columns and as "Name: Value" tags.
+import fs from "fs";
+import { parse } from "node-html-parser";
+import { logger } from "./logger.js";
+
+/**
+ * Default attribute table. For each attribute the `patterns` (case-insensitive
+ * regular expressions) are tried against every feature line; the first
+ * capture group (or the whole match) is the raw value.
+ *
+ * - `values` maps a normalized value to the words that mean it; all values
+ *   found in the raw text are kept. A line naming none of them is ignored,
+ *   unless `keepUnmatched` is set (then the raw text is the value).
+ * - `unit` reads the raw value as a number ("3-1/2" → 3.5) in that unit, and
+ *   `ranges` buckets that number for the tag ("3 in & up").
+ * - `multiple` keeps every value from every matching line; otherwise only the
+ *   first value of the first matching line counts.
+ * - `tag` is the tag prefix; leave it empty for no tags.
+ */
+export const DEFAULT_ATTRIBUTE_MAPPING = {
+  attributes: [
+    {
+      key: "material",
+      label: "Material",
+      metafield: "custom.material",
+      tag: "Material",
+      multiple: true,
+      patterns: [
+        "^(?:materials?|fabrics?|fabric content|composition|upper)\\s*:\\s*(.+)$",
+        "^(\\d{1,3}\\s*%.+)$",
+        "^(.*\\b(?:upper|lining|sole|outsole|shell|construction)s?\\b.*)$",
+      ],
+      values: {
+        "Patent Leather": ["patent leather", "patent"],
+        "Faux Leather": ["faux leather", "vegan leather", "manmade", "man-made", "synthetic", "polyurethane"],
+        Leather: ["leather", "genuine leather"],
+        Suede: ["suede"],
+        Rubber: ["rubber"],
+        Cotton: ["cotton"],
+        Polyester: ["polyester"],
+        Spandex: ["spandex", "elastane", "lycra"],
+        Nylon: ["nylon"],
+        Wool: ["wool"],
+        Cashmere: ["cashmere"],
+        Silk: ["silk"],
+        Linen: ["linen"],
+        Rayon: ["rayon", "viscose"],
+        Denim: ["denim"],
+        Canvas: ["canvas"],
+        Mesh: ["mesh"],
+      },
+    },
+    {
+      key: "heel_height",
+      label: "Heel Height",
+      metafield: "custom.heel_height",
+      tag: "Heel Height",
+      unit: "in",
+      patterns: [
+        "heel(?:\\s+height)?\\s*:?\\s*(?:approx(?:\\.|imately)?\\s*)?(\\d+(?:[.-]\\d+(?:/\\d+)?|\\s+\\d+/\\d+|/\\d+)?)\\s*(?:[\"”″]|in(?:ch(?:es)?)?\\b)",
+        "(\\d+(?:[.-]\\d+(?:/\\d+)?|\\s+\\d+/\\d+|/\\d+)?)\\s*(?:[\"”″]|in(?:ch(?:es)?)?\\b)\\s*(?:[a-z]+\\s+)?heel",
+      ],
+      ranges: [
+        { upTo: 1, value: "Under 1 in" },
+        { upTo: 2, value: "1-2 in" },
+        { upTo: 3, value: "2-3 in" },
+        { value: "3 in & up" },
+      ],
+    },
+    {
+      key: "origin",
+      label: "Origin",
+      metafield: "custom.origin",
+      tag: "Origin",
+      keepUnmatched: true,
+      patterns: [
+        "^(imported)\\.?$",
+        "country of origin\\s*:\\s*(.+)$",
+        "\\b(made in (?:the )?[a-z .]+?)\\.?$",
+      ],
+      values: {
+        Imported: ["imported"],
+        "Made in USA": ["made in usa", "made in the usa", "made in u.s.a", "made in america"],
+      },
+    },
+    {
+      key: "care",
+      label: "Care",
+      metafield: "custom.care",
+      tag: "Care",
+      multiple: true,
+      patterns: [
+        "^(?:care\\s*:\\s*)?(.*\\b(?:machine wash(?:able)?|hand wash|dry clean|spot clean|wipe clean)\\b.*)$",
+      ],
+      values: {
+        "Machine Wash": ["machine wash", "machine washable"],
+        "Hand Wash": ["hand wash"],
+        "Dry Clean": ["dry clean", "dry clean only"],
+        "Spot Clean": ["spot clean", "wipe clean"],
+      },
+    },
+    {
+      key: "fit",
+      label: "Fit",
+      metafield: "custom.fit",
+      tag: "Fit",
+      patterns: [
+        "^(?:fit\\s*:\\s*)?(.*\\b(?:true to size|runs? (?:small|large|big)|order (?:a )?(?:half|whole|full) size (?:up|down)|size (?:up|down)|slim fit|relaxed fit|regular fit|classic fit|wide width)\\b.*)$",
+      ],
+      values: {
+        "True to Size": ["true to size"],
+        "Runs Small": ["runs small", "run small", "size up", "half size up", "whole size up", "full size up"],
+        "Runs Large": ["runs large", "runs big", "run large", "size down", "half size down", "whole size down", "full size down"],
+        "Slim Fit": ["slim fit"],
+        "Relaxed Fit": ["relaxed fit"],
+        "Regular Fit": ["regular fit", "classic fit"],
+        "Wide Width": ["wide width"],
+      },
+    },
+    {
+      key: "closure",
+      label: "Closure",
+      metafield: "custom.closure",
+      tag: "Closure",
+      patterns: ["closure\\s*:\\s*(.+)$", "^(.+?)\\s+closures?\\b"],
+      values: {
+        Buckle: ["buckle", "buckled"],
+        Zipper: ["zipper", "zip"],
+        "Lace-Up": ["lace-up", "lace up", "laces"],
+        "Slip-On": ["slip-on", "slip on", "pull-on"],
+        "Hook & Loop": ["hook-and-loop", "hook and loop", "velcro"],
+        Button: ["button", "buttons"],
+        Snap: ["snap", "snaps"],
+      },
+    },
+  ],
+};
+
+let activeAttributes = compileMapping(DEFAULT_ATTRIBUTE_MAPPING);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileMapping({ attributes }) {
+  return attributes.map((attribute) => ({
+    ...attribute,
+    patterns: (attribute.patterns || []).map((pattern) => new RegExp(pattern, "i")),
+    // Longest words first, so "faux leather" is not also read as "leather".
+    words: Object.entries(attribute.values || {})
+      .flatMap(([value, words]) => words.map((word) => ({ value, word })))
+      .sort((a, b) => b.word.length - a.word.length)
+      .map(({ value, word }) => ({ value, pattern: new RegExp(`\\b${escapeRegExp(word)}\\b`, "gi") })),
+  }));
+}
+
+/**
+ * Loads an attribute mapping file (`{ attributes: [...] }`, same shape as
+ * DEFAULT_ATTRIBUTE_MAPPING). Entries whose `key` matches a default attribute
+ * override its fields, `"disabled": true` drops it, other entries are added.
+ * @param {string} mappingPath
+ */
+export function loadAttributeMapping(mappingPath) {
+  const fileMapping = JSON.parse(fs.readFileSync(mappingPath, "utf-8"));
+  const attributes = DEFAULT_ATTRIBUTE_MAPPING.attributes.map((attribute) => ({ ...attribute }));
+  for (const entry of fileMapping.attributes || []) {
+    const index = attributes.findIndex((a) => a.key === entry.key);
+    if (index === -1) attributes.push(entry);
+    else attributes[index] = { ...attributes[index], ...entry };
+  }
+  for (const attribute of attributes) {
+    if (!attribute.key || !attribute.label) throw new Error("Every attribute needs a key and a label");
+  }
+  activeAttributes = compileMapping({ attributes: attributes.filter((a) => !a.disabled) });
+  logger.info(`🏷️ Loaded attribute mapping from ${mappingPath} (${activeAttributes.length} attribute(s)).`);
+}
+
+/**
+ * Shopify CSV header of a metafield column, e.g.
+ * "Material (product.metafields.custom.material)".
+ * @param {{label: string, metafield: string}} attribute
+ */
+function metafieldColumn({ label, metafield }) {
+  return `${label} (product.metafields.${metafield})`;
+}
+
+/**
+ * Reads a metafield column header back into its namespace and key.
+ * @param {string} column
+ * @returns {{namespace: string, key: string}|null}
+ */
+export function metafieldFromColumn(column) {
+  const match = /\(product\.metafields\.([\w-]+)\.([\w-]+)\)$/.exec(column);
+  return match ? { namespace: match[1], key: match[2] } : null;
+}
+
+/**
+ * Metafield column headers of the active mapping, in mapping order.
+ * @returns {string[]}
+ */
+export function attributeColumnNames() {
+  return activeAttributes.filter((a) => a.metafield).map(metafieldColumn);
+}
+
+/**
+ * Reads "3", "3.5", "3-1/2", "3 1/2" or "1/2" as a number.
+ * @param {string} text
+ * @returns {number}
+ */
+export function parseMeasurement(text) {
+  const match = /^(?:(\d+(?:\.\d+)?)(?:[\s-]+(\d+)\/(\d+))?|(\d+)\/(\d+))$/.exec(String(text).trim());
+  if (!match) return NaN;
+  if (match[4]) return Number(match[4]) / Number(match[5]);
+  return Number(match[1]) + (match[2] ? Number(match[2]) / Number(match[3]) : 0);
+}
+
+/**
+ * Text of every list item in a description, one feature per line.
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function featureLinesFromHtml(html) {
+  if (!html) return [];
+  return parse(html)
+    .querySelectorAll("li")
+    .map((li) => li.textContent.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/** Normalized values named in `text`, in the order they appear. */
+function normalizedValues(attribute, text) {
+  let remaining = text;
+  const found = [];
+  for (const { value, pattern } of attribute.words) {
+    remaining = remaining.replace(pattern, (match, offset) => {
+      found.push({ value, offset });
+      return " ".repeat(match.length);
+    });
+  }
+  return [...new Set(found.sort((a, b) => a.offset - b.offset).map((f) => f.value))];
+}
+
+function readValue(attribute, raw) {
+  const text = raw.trim().replace(/[.;,]+$/, "");
+  if (attribute.unit) {
+    const amount = parseMeasurement(text);
+    if (isNaN(amount)) return null;
+    const value = `${Number(amount.toFixed(2))} ${attribute.unit}`;
+    const range = (attribute.ranges || []).find((r) => r.upTo === undefined || amount < r.upTo);
+    return { values: [value], tags: [range ? range.value : value] };
+  }
+  const values = normalizedValues(attribute, text);
+  if (values.length) return { values, tags: values };
+  return attribute.words.length && !attribute.keepUnmatched ? null : { values: [text], tags: [text] };
+}
+
+/**
+ * @typedef {object} ProductAttribute
+ * @property {string} key
+ * @property {string} label
+ * @property {string[]} values - Normalized values (or the raw text).
+ * @property {string[]} tags - Tag values (range labels for measurements).
+ */
+
+/**
+ * Finds the mapped attributes in a product's feature and size-chart lines.
+ * @param {string[]} lines
+ * @returns {ProductAttribute[]} Only the attributes that were found.
+ */
+export function parseProductAttributes(lines) {
+  const found = [];
+  for (const attribute of activeAttributes) {
+    const result = { key: attribute.key, label: attribute.label, values: [], tags: [] };
+    for (const line of lines) {
+      const match = attribute.patterns.map((pattern) => pattern.exec(line)).find(Boolean);
+      const read = match && readValue(attribute, match[1] ?? match[0]);
+      if (!read) continue;
+      if (!attribute.multiple) {
+        // "True to size; if between sizes, size up" is a true-to-size fit.
+        Object.assign(result, { values: read.values.slice(0, 1), tags: read.tags.slice(0, 1) });
+        break;
+      }
+      result.values.push(...read.values.filter((v) => !result.values.includes(v)));
+      result.tags.push(...read.tags.filter((t) => !result.tags.includes(t)));
+    }
+    if (result.values.length) found.push(result);
+  }
+  return found;
+}
+
+/**
+ * Adds the attributes to a product: one `attributes` entry per attribute
+ * (values joined with ", ") and "Label: Value" tags added to its tags.
+ * @param {import('./productModel.js').Product} product - Mutated.
+ * @param {ProductAttribute[]} attributes
+ * @returns {import('./productModel.js').Product} The same product.
+ */
+export function applyProductAttributes(product, attributes) {
+  const seen = new Set(product.tags.map((t) => t.toLowerCase()));
+  for (const found of attributes) {
+    const attribute = activeAttributes.find((a) => a.key === found.key);
+    if (!attribute) continue;
+    product.attributes[attribute.key] = found.values.join(", ");
+    if (!attribute.tag) continue;
+    for (const value of found.tags) {
+      const tag = `${attribute.tag}: ${value}`.replace(/,/g, "");
+      if (seen.has(tag.toLowerCase())) continue;
+      seen.add(tag.toLowerCase());
+      product.tags.push(tag);
+    }
+  }
+  return product;
+}
+
+/**
+ * Metafield columns (for a product's first Shopify row) of the attributes
+ * the active mapping exports as metafields.
+ * @param {Object<string, string>} attributes - A product's `attributes`.
+ * @returns {Object<string, string>} Column header → value.
+ */
+export function attributeColumns(attributes) {
+  const columns = {};
+  for (const attribute of activeAttributes) {
+    if (attribute.metafield && attributes[attribute.key]) {
+      columns[metafieldColumn(attribute)] = attributes[attribute.key];
+    }
+  }
+  return columns;
+}
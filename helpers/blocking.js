@@ -0,0 +1,64 @@
+// helpers/blocking.js
+//
+// Recognizes access-denied and bot-challenge pages, which load "successfully"
+// but carry no product, so they can fail as their own error type and the
+// caller can switch proxy/session instead of retrying the same one.
+
+/**
+ * Thrown when a page load ends on a block or challenge page.
+ */
+export class BlockedError extends Error {
+  /**
+   * @param {string} url
+   * @param {string} reason - What gave the block away, e.g. "HTTP 403".
+   */
+  constructor(url, reason) {
+    super(`Blocked by bot protection (${reason}): ${url}`);
+    this.name = "BlockedError";
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+// Status codes bot protections answer with. 404/500 are real errors and are
+// left to the normal retry path.
+const BLOCK_STATUSES = [403, 429];
+
+// Markers of the block/challenge pages served by common bot protections
+// (Akamai, PerimeterX, Cloudflare, Imperva, DataDome).
+const BLOCK_PATTERNS = [
+  { pattern: /access denied/i, reason: "access denied page" },
+  { pattern: /you don't have permission to access/i, reason: "access denied page" },
+  { pattern: /pardon our interruption/i, reason: "challenge page" },
+  { pattern: /press (&|and) hold/i, reason: "press-and-hold challenge" },
+  { pattern: /verify (that )?you are (a )?human|are you a robot/i, reason: "human verification" },
+  { pattern: /px-captcha|captcha-delivery|g-recaptcha|h-captcha/i, reason: "captcha" },
+  { pattern: /cf-challenge|challenge-platform|just a moment\.\.\./i, reason: "Cloudflare challenge" },
+  { pattern: /_Incapsula_Resource|request unsuccessful\. incapsula/i, reason: "Imperva challenge" },
+];
+
+/**
+ * Pure check on what a page load returned.
+ * @param {{status?: number, title?: string, html?: string}} page
+ * @returns {string} The reason the page is a block page, or "" when it isn't.
+ */
+export function classifyBlockPage({ status = 200, title = "", html = "" }) {
+  if (BLOCK_STATUSES.includes(status)) return `HTTP ${status}`;
+  // Challenge pages are small; a full product page that merely mentions
+  // "captcha" in a script must not count.
+  const text = `${title}\n${html.length < 200000 ? html : title}`;
+  return BLOCK_PATTERNS.find(({ pattern }) => pattern.test(text))?.reason || "";
+}
+
+/**
+ * Checks the page currently loaded.
+ * @param {import('playwright').Page} page
+ * @param {import('playwright').Response|null} response - From page.goto.
+ * @returns {Promise<string>} The block reason, or "".
+ */
+export async function detectBlockPage(page, response) {
+  const status = response?.status() ?? 200;
+  const title = await page.title().catch(() => "");
+  const html = await page.content().catch(() => "");
+  return classifyBlockPage({ status, title, html });
+}
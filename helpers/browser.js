@@ -1,20 +1,142 @@
 // helpers/browser.js
-// import "dotenv/config";
+import fs from "fs";
+import path from "path";
 import { chromium } from "playwright";
-// const headless = process.env.HEADLESS?.toLowerCase() === "true";
-export async function launchBrowser() {
+import { logger } from "./logger.js";
+
+const DEFAULT_LAUNCH_ARGS = [
+  '--disable-gpu',
+  '--disable-dev-shm-usage',
+  '--disable-setuid-sandbox',
+  '--no-sandbox',
+  '--disable-http2',
+];
+
+/**
+ * User agent / viewport combinations a context can present as. One is
+ * picked at random for every new context so parallel workers and rotated
+ * sessions don't all share the same fingerprint.
+ */
+export const BROWSER_PROFILES = [
+  {
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    viewport: { width: 1366, height: 768 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36",
+    viewport: { width: 1920, height: 1080 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
+    viewport: { width: 1440, height: 900 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36",
+    viewport: { width: 1536, height: 864 },
+  },
+];
+
+export function pickBrowserProfile(profiles = BROWSER_PROFILES) {
+  return profiles[Math.floor(Math.random() * profiles.length)];
+}
+
+/**
+ * @param {{headless?: boolean, channel?: string, ignoreCertificateErrors?: boolean}} [options]
+ * `channel` is a Playwright browser channel ("chrome", "msedge"); an empty
+ * string uses Playwright's bundled Chromium. `ignoreCertificateErrors` is
+ * only for proxies that re-sign TLS traffic; it is off unless asked for.
+ */
+export async function launchBrowser({ headless = true, channel = 'chrome', ignoreCertificateErrors = false } = {}) {
   const browser = await chromium.launch({
-    headless: true,
-    channel: 'chrome',
+    headless,
+    ...(channel ? { channel } : {}),
     args: [
-     '--disable-gpu',
-      '--disable-dev-shm-usage',
-      '--disable-setuid-sandbox',
-      '--no-sandbox',
-      '--disable-http2',
-      '--ignore-certificate-errors'
+      ...DEFAULT_LAUNCH_ARGS,
+      ...(ignoreCertificateErrors ? ['--ignore-certificate-errors'] : []),
     ],
     timeout: 12000
   });
   return browser;
 }
+
+/**
+ * @param {import('playwright').Browser} browser
+ * @param {{proxy?: {server: string, username?: string, password?: string}|null, profile?: {userAgent: string, viewport: object}, storageStatePath?: string, locale?: string, timezoneId?: string}} [options]
+ * `storageStatePath` is loaded when the file exists (cookies and local
+ * storage from an earlier run). `locale` and `timezoneId` decide which
+ * storefront (language, currency) the retailer serves.
+ */
+export async function createScraperContext(browser, {
+  proxy = null,
+  profile = pickBrowserProfile(),
+  storageStatePath = "",
+  locale = "en-US",
+  timezoneId = "America/New_York",
+} = {}) {
+  const language = locale.split("-")[0];
+  return browser.newContext({
+    userAgent: profile.userAgent,
+    locale,
+    timezoneId,
+    viewport: profile.viewport,
+    colorScheme: "light",
+    extraHTTPHeaders: {
+      "Accept-Language": language === locale ? `${locale};q=0.9` : `${locale},${language};q=0.9`,
+    },
+    ...(proxy ? { proxy } : {}),
+    ...(storageStatePath && fs.existsSync(storageStatePath) ? { storageState: storageStatePath } : {}),
+  });
+}
+
+/**
+ * Saves a context's cookies and local storage so the next run starts with
+ * the same session.
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} storageStatePath
+ */
+export async function saveStorageState(context, storageStatePath) {
+  fs.mkdirSync(path.dirname(storageStatePath), { recursive: true });
+  await context.storageState({ path: storageStatePath });
+  logger.info(`🍪 Saved browser session to ${storageStatePath}`);
+}
+
+/**
+ * A page plus the context it lives in, which can be swapped for a fresh
+ * context (next proxy, new profile) after a block.
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {{proxyPool?: object|null, storageStatePath?: string, sharedContext?: import('playwright').BrowserContext|null, locale?: string, timezoneId?: string}} [options]
+ * With `sharedContext` the session starts on that context and only gets its
+ * own context once it rotates; the shared one is never closed here.
+ * @returns {Promise<{page: import('playwright').Page, context: import('playwright').BrowserContext, rotate: () => Promise<void>, close: () => Promise<void>}>}
+ */
+export async function createScraperSession(browser, { proxyPool = null, storageStatePath = "", sharedContext = null, locale, timezoneId } = {}) {
+  let proxy = null;
+  let ownsContext = !sharedContext;
+  const newContext = async () => {
+    proxy = proxyPool?.next() || null;
+    return createScraperContext(browser, { proxy, storageStatePath, locale, timezoneId });
+  };
+
+  const session = {
+    context: sharedContext || (await newContext()),
+    page: null,
+    async rotate() {
+      proxyPool?.markBlocked(proxy);
+      if (ownsContext) await session.context.close().catch(() => {});
+      session.context = await newContext();
+      ownsContext = true;
+      session.page = await session.context.newPage();
+      logger.info(`🔄 New browser session${proxy ? ` via ${proxy.server}` : ""}.`);
+    },
+    async close() {
+      if (ownsContext) await session.context.close().catch(() => {});
+    },
+  };
+  session.page = await session.context.newPage();
+  return session;
+}
@@ -0,0 +1,86 @@
+// helpers/checkpoint.js
+import fs from "fs";
+import path from "path";
+import { productIdFromUrl } from "./retailers/index.js";
+import { logger } from "./logger.js";
+
+/**
+ * Key used to decide whether a URL was already scraped. Retailer product URLs
+ * carry tracking parameters that change between copies of the same link, so
+ * the product ID is preferred over the raw URL.
+ * @param {string} url
+ * @returns {string}
+ */
+export function checkpointKey(url) {
+  return productIdFromUrl(url) || url;
+}
+
+/**
+ * Opens (or creates) the JSON-lines checkpoint file of a run. Every scraped
+ * product is appended as one `{ url, product, reviews? }` line as soon as it
+ * is done, so an interrupted run can be resumed from the same file. A product
+ * with no variants left to export is recorded too, so a resume doesn't scrape
+ * it again.
+ * @param {string} checkpointPath - Path of the `.checkpoint.jsonl` file.
+ * @returns {{path: string, isDone: (url: string) => boolean, productFor: (url: string) => import('./productModel.js').Product|null, reviewsFor: (url: string) => object|null, record: (url: string, product: import('./productModel.js').Product, reviews?: object|null) => void}}
+ */
+export function openCheckpoint(checkpointPath) {
+  const productsByKey = new Map();
+  const reviewsByKey = new Map();
+
+  if (fs.existsSync(checkpointPath)) {
+    const lines = fs.readFileSync(checkpointPath, "utf-8").split("\n");
+    let rowLines = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.rows) rowLines++;
+        if (!entry.product?.variants) continue;
+        productsByKey.set(checkpointKey(entry.url), entry.product);
+        if (entry.reviews) reviewsByKey.set(checkpointKey(entry.url), entry.reviews);
+      } catch {
+        // A crash mid-write can leave a truncated last line; drop it.
+        logger.warn("⚠️ Skipping unreadable checkpoint line.");
+      }
+    }
+    if (rowLines) {
+      // Checkpoints used to hold Shopify rows; those can't be turned back
+      // into products, so their URLs are scraped again.
+      logger.warn(
+        `⚠️ ${rowLines} checkpoint line(s) hold Shopify rows from an older version and can't be resumed; those URLs will be scraped again.`
+      );
+    }
+    logger.info(
+      `🔁 Resuming from ${checkpointPath}: ${productsByKey.size} product(s) already scraped.`
+    );
+  } else {
+    fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  }
+
+  return {
+    path: checkpointPath,
+    isDone: (url) => productsByKey.has(checkpointKey(url)),
+    productFor: (url) => productsByKey.get(checkpointKey(url)) || null,
+    reviewsFor: (url) => reviewsByKey.get(checkpointKey(url)) || null,
+    record(url, product, reviews = null) {
+      fs.appendFileSync(
+        checkpointPath,
+        JSON.stringify({ url, product, ...(reviews ? { reviews } : {}) }) + "\n",
+        "utf-8"
+      );
+      productsByKey.set(checkpointKey(url), product);
+      if (reviews) reviewsByKey.set(checkpointKey(url), reviews);
+    },
+  };
+}
+
+/**
+ * Derives the output file name (without extension) from a checkpoint path,
+ * so a resumed run writes to the same CSV/XLSX names as the original one.
+ * @param {string} checkpointPath
+ * @returns {string}
+ */
+export function fileNameFromCheckpoint(checkpointPath) {
+  return path.basename(checkpointPath).replace(/\.checkpoint\.jsonl$/, "");
+}
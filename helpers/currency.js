@@ -0,0 +1,214 @@
+// helpers/currency.js
+//
+// Reads prices the way shops print them ("$39.99 - $59.99",
+// "Now $45.00 Orig. $90.00", "1.234,56 €", "£1,299") and optionally converts
+// them to the store's currency with a local rate table, so nothing depends
+// on a live exchange-rate service.
+import fs from "fs";
+import { logger } from "./logger.js";
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Longest first, so "US$" wins over "$".
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["NZ$", "NZD"],
+  ["HK$", "HKD"],
+  ["R$", "BRL"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+  ["₩", "KRW"],
+  ["zł", "PLN"],
+  ["kr", "SEK"],
+];
+const DOLLAR_CURRENCIES = ["USD", "CAD", "AUD", "NZD", "HKD", "SGD", "MXN"];
+const CURRENCY_CODES = [
+  "USD", "EUR", "GBP", "CAD", "AUD", "NZD", "JPY", "CNY", "INR", "KRW", "HKD", "SGD",
+  "CHF", "SEK", "NOK", "DKK", "PLN", "MXN", "BRL",
+];
+
+const SALE_LABEL = /\b(now|sale|special|your price|deal)\b/i;
+const ORIGINAL_LABEL = /\b(orig(inal)?|was|reg(ular)?|list|compare at|msrp)\b/i;
+const RANGE_SEPARATOR = /^\s*(-|–|—|to)\s*$/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const CURRENCY_TOKEN = [
+  ...CURRENCY_SYMBOLS.map(([symbol]) => escapeRegExp(symbol)),
+  "\\$",
+  ...CURRENCY_CODES.map((code) => `\\b${code}\\b`),
+].join("|");
+// A space only groups thousands when exactly three digits follow it
+// ("1 234,56"), so "$100 2 for $150" stays two numbers.
+const AMOUNT = "\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3}(?!\\d))+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)*";
+const MONEY_PATTERN = new RegExp(
+  `(${CURRENCY_TOKEN})?\\s*(${AMOUNT})\\s*(${CURRENCY_TOKEN})?`,
+  "g"
+);
+
+let sourceCurrency = DEFAULT_CURRENCY;
+let storeCurrency = "";
+let activeRates = null;
+let priceLocale = "en-US";
+
+/**
+ * @param {{sourceCurrency?: string, storeCurrency?: string, locale?: string}} settings
+ * - `sourceCurrency` is assumed for prices without a currency (and for a bare
+ * "$"); `storeCurrency` turns on conversion; `locale` decides whether "1.234"
+ * is a thousand or a decimal.
+ */
+export function setCurrencySettings({ sourceCurrency: source, storeCurrency: store, locale } = {}) {
+  if (source !== undefined) sourceCurrency = (source || DEFAULT_CURRENCY).toUpperCase();
+  if (store !== undefined) storeCurrency = (store || "").toUpperCase();
+  if (locale !== undefined) priceLocale = locale || "en-US";
+}
+
+/**
+ * Loads an exchange rate table: `{ "base": "USD", "rates": { "EUR": 0.92 } }`
+ * where each rate is the amount of that currency one unit of `base` buys.
+ * @param {string} ratesPath
+ * @returns {{base: string, rates: Object<string, number>}}
+ */
+export function loadCurrencyRates(ratesPath) {
+  setCurrencyRates(JSON.parse(fs.readFileSync(ratesPath, "utf-8")));
+  logger.info(`💱 Loaded ${Object.keys(activeRates.rates).length} exchange rate(s) from ${ratesPath}.`);
+  return activeRates;
+}
+
+export function setCurrencyRates(table) {
+  if (!table) {
+    activeRates = null;
+    return;
+  }
+  const base = String(table.base || DEFAULT_CURRENCY).toUpperCase();
+  const rates = { [base]: 1 };
+  for (const [code, rate] of Object.entries(table.rates || {})) {
+    if (!(Number(rate) > 0)) throw new Error(`Exchange rate for ${code} must be a positive number`);
+    rates[code.toUpperCase()] = Number(rate);
+  }
+  activeRates = { base, rates };
+}
+
+/**
+ * The currency prices are converted to, or "" when they are exported in the
+ * currency the page showed.
+ * @returns {string}
+ */
+export function getStoreCurrency() {
+  return storeCurrency;
+}
+
+function currencyFromToken(token) {
+  if (!token) return "";
+  if (token === "$") return DOLLAR_CURRENCIES.includes(sourceCurrency) ? sourceCurrency : "USD";
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => s === token);
+  return symbol ? symbol[1] : token.toUpperCase();
+}
+
+function decimalSeparatorFor(locale) {
+  try {
+    return new Intl.NumberFormat(locale).formatToParts(1.5).find((p) => p.type === "decimal")?.value || ".";
+  } catch {
+    return ".";
+  }
+}
+
+/**
+ * Turns "1,234.56", "1.234,56", "1 234,56" or "1,299" into a number.
+ * A lone separator followed by exactly three digits is a thousands separator
+ * unless it is the locale's decimal separator.
+ * @param {string} digits
+ * @param {string} [locale]
+ * @returns {number}
+ */
+export function parseAmount(digits, locale = priceLocale) {
+  const text = String(digits).replace(/\s/g, "");
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+  let decimal = "";
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? "." : ",";
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? "." : ",";
+    const groups = text.split(separator);
+    const thousands =
+      groups.length > 2 ||
+      (groups[groups.length - 1].length === 3 && decimalSeparatorFor(locale) !== separator);
+    decimal = thousands ? "" : separator;
+  }
+  const normalized = decimal
+    ? text.split(decimal).map((part, i, parts) => (i === parts.length - 1 ? part : part.replace(/[.,]/g, ""))).join(".")
+    : text.replace(/[.,]/g, "");
+  return parseFloat(normalized);
+}
+
+/**
+ * @typedef {object} ParsedPrice
+ * @property {number} amount - Selling price (the lowest price of a range);
+ * NaN when the text holds no price.
+ * @property {number} original - Labelled original/was price, or NaN.
+ * @property {number} max - Highest price of a range, or NaN.
+ * @property {string} currency - ISO code, from the text or the source currency.
+ */
+
+/**
+ * Reads a displayed price text.
+ * @param {string} text
+ * @param {{locale?: string}} [options]
+ * @returns {ParsedPrice}
+ */
+export function parsePrice(text, { locale = priceLocale } = {}) {
+  const source = String(text ?? "");
+  const found = [...source.matchAll(MONEY_PATTERN)]
+    // "50% off" is a discount, not a price.
+    .filter((m) => !/^\s*%/.test(source.slice(m.index + m[0].length)))
+    .map((m) => ({
+      index: m.index,
+      end: m.index + m[0].length,
+      amount: parseAmount(m[2], locale),
+      currency: currencyFromToken(m[1] || m[3]),
+      label: source.slice(0, m.index).split(/\d/).pop(),
+    }))
+    .filter((m) => !isNaN(m.amount));
+  // When some numbers carry a currency, bare ones ("2 for $30") are not prices.
+  const matches = found.some((m) => m.currency) ? found.filter((m) => m.currency) : found;
+
+  const result = { amount: NaN, original: NaN, max: NaN, currency: "" };
+  if (!matches.length) return { ...result, currency: sourceCurrency };
+
+  const sale = matches.find((m) => SALE_LABEL.test(m.label));
+  const original = matches.find((m) => ORIGINAL_LABEL.test(m.label));
+  if (sale || original) {
+    const selling = sale || matches.find((m) => m !== original) || original;
+    result.amount = selling.amount;
+    if (original && original !== selling) result.original = original.amount;
+  } else if (matches.length > 1 && RANGE_SEPARATOR.test(source.slice(matches[0].end, matches[1].index))) {
+    result.amount = Math.min(matches[0].amount, matches[1].amount);
+    result.max = Math.max(matches[0].amount, matches[1].amount);
+  } else {
+    result.amount = matches[0].amount;
+  }
+  result.currency = matches.find((m) => m.currency)?.currency || sourceCurrency;
+  return result;
+}
+
+/**
+ * Converts an amount between two currencies of the loaded rate table.
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} [to] - Defaults to the store currency.
+ * @returns {number}
+ */
+export function convertAmount(amount, from, to = storeCurrency) {
+  if (!to || from === to || isNaN(amount)) return amount;
+  const rates = activeRates?.rates || {};
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate from ${from} to ${to}; add it to the currency rates file`);
+  }
+  return (amount / rates[from]) * rates[to];
+}
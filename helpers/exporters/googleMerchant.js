@@ -0,0 +1,127 @@
+// helpers/exporters/googleMerchant.js
+//
+// Google Merchant Center product feed, as RSS 2.0 XML or TSV. Every variant
+// is one item; variants of a product share `item_group_id`.
+import fs from "fs";
+import { htmlToPlainText, regularAndSalePrice } from "../productModel.js";
+
+const MAX_ADDITIONAL_IMAGES = 10;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+const FIELDS = [
+  "id",
+  "item_group_id",
+  "title",
+  "description",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "availability",
+  "price",
+  "sale_price",
+  "brand",
+  "gtin",
+  "mpn",
+  "identifier_exists",
+  "condition",
+  "product_type",
+  "color",
+  "size",
+];
+
+function optionValue(variant, pattern) {
+  const name = Object.keys(variant.options).find((key) => pattern.test(key));
+  return name ? variant.options[name] : "";
+}
+
+/**
+ * @param {import('../productModel.js').Product} product
+ * @param {{storeUrl?: string}} [options] - Public store URL; item links point
+ * to `<storeUrl>/products/<handle>`. Without it the retailer page is used.
+ * @returns {object[]} One feed item per variant.
+ */
+export function toMerchantItems(product, { storeUrl = "" } = {}) {
+  const link = storeUrl
+    ? `${storeUrl.replace(/\/$/, "")}/products/${product.handle}`
+    : product.url;
+  const description = htmlToPlainText(product.descriptionHtml).slice(0, MAX_DESCRIPTION_LENGTH);
+  const money = (amount) => (amount ? `${amount} ${product.currency}` : "");
+
+  return product.variants.map((variant) => {
+    const { regularPrice, salePrice } = regularAndSalePrice(variant);
+    const optionText = Object.values(variant.options).filter(Boolean).join(" / ");
+    const imageLink = variant.image || product.images[0]?.src || "";
+    return {
+      id: variant.sku || product.id,
+      item_group_id: product.options.length ? product.id : "",
+      title: optionText ? `${product.title} - ${optionText}` : product.title,
+      description,
+      link,
+      image_link: imageLink,
+      additional_image_link: product.images
+        .map((image) => image.src)
+        .filter((src) => src !== imageLink)
+        .slice(0, MAX_ADDITIONAL_IMAGES),
+      availability: variant.availability,
+      price: money(regularPrice),
+      sale_price: money(salePrice),
+      brand: product.vendor,
+      gtin: variant.barcode,
+      mpn: variant.barcode ? "" : variant.sku,
+      identifier_exists: variant.barcode || variant.sku ? "yes" : "no",
+      condition: "new",
+      product_type: product.type,
+      color: optionValue(variant, /colou?r/i),
+      size: optionValue(variant, /size|inseam|width|length/i),
+    };
+  });
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * @param {import('../productModel.js').Product[]} products
+ * @param {string} filePath
+ * @param {{storeUrl?: string, title?: string}} [options]
+ */
+export function writeMerchantXml(products, filePath, { storeUrl = "", title = "Products" } = {}) {
+  const items = products.flatMap((product) => toMerchantItems(product, { storeUrl }));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    "<channel>",
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(storeUrl)}</link>`,
+  ];
+  for (const item of items) {
+    lines.push("<item>");
+    for (const field of FIELDS) {
+      const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+      for (const value of values) {
+        if (value === "" || value === undefined) continue;
+        lines.push(`  <g:${field}>${escapeXml(value)}</g:${field}>`);
+      }
+    }
+    lines.push("</item>");
+  }
+  lines.push("</channel>", "</rss>");
+  fs.writeFileSync(filePath, lines.join("\n") + "\n", "utf-8");
+}
+
+/**
+ * @param {import('../productModel.js').Product[]} products
+ * @param {string} filePath
+ * @param {{storeUrl?: string}} [options]
+ */
+export function writeMerchantTsv(products, filePath, { storeUrl = "" } = {}) {
+  const items = products.flatMap((product) => toMerchantItems(product, { storeUrl }));
+  const cell = (value) =>
+    (Array.isArray(value) ? value.join(",") : String(value ?? "")).replace(/[\t\r\n]+/g, " ");
+  const lines = [FIELDS.join("\t"), ...items.map((item) => FIELDS.map((f) => cell(item[f])).join("\t"))];
+  fs.writeFileSync(filePath, lines.join("\n") + "\n", "utf-8");
+}
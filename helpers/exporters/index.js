@@ -0,0 +1,46 @@
+// helpers/exporters/index.js
+//
+// Output formats that read the platform-neutral product model. The Shopify
+// CSV/XLSX files ("csv" and "xlsx") come from the same products through
+// shopifyCsv.js, but are written by fileIO.js once the rows have been
+// validated and pushed; everything registered here runs next to them.
+import fs from "fs";
+import path from "path";
+import { writeJsonLines } from "./jsonl.js";
+import { writeMerchantTsv, writeMerchantXml } from "./googleMerchant.js";
+import { writeWooCommerceCsv } from "./woocommerce.js";
+import { logger } from "../logger.js";
+
+/**
+ * Each exporter gets the products, the target path and the run's exporter
+ * options, and writes `<fileName><suffix>`.
+ */
+export const EXPORTERS = {
+  woocommerce: { suffix: "_woocommerce.csv", write: writeWooCommerceCsv },
+  jsonl: { suffix: ".jsonl", write: writeJsonLines },
+  "gmc-xml": { suffix: "_google_merchant.xml", write: writeMerchantXml },
+  "gmc-tsv": { suffix: "_google_merchant.tsv", write: writeMerchantTsv },
+};
+
+/**
+ * Writes every requested format that has a registered exporter.
+ * @param {import('../productModel.js').Product[]} products - All products of the run.
+ * @param {string[]} formats - Format names from --format.
+ * @param {{outputDir?: string, fileName: string, storeUrl?: string}} options
+ * @returns {string[]} Paths of the written files.
+ */
+export function exportProductFormats(products, formats, { outputDir = "./output", fileName, ...exporterOptions }) {
+  const selected = formats.filter((format) => EXPORTERS[format]);
+  if (!selected.length || !products.length) return [];
+
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  const written = [];
+  for (const format of selected) {
+    const { suffix, write } = EXPORTERS[format];
+    const filePath = path.join(outputDir, `${fileName}${suffix}`);
+    write(products, filePath, exporterOptions);
+    logger.info(`✅ Saved ${products.length} product(s) as ${format} to ${filePath}`);
+    written.push(filePath);
+  }
+  return written;
+}
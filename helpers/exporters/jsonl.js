@@ -0,0 +1,11 @@
+// helpers/exporters/jsonl.js
+import fs from "fs";
+
+/**
+ * One product model per line.
+ * @param {import('../productModel.js').Product[]} products
+ * @param {string} filePath
+ */
+export function writeJsonLines(products, filePath) {
+  fs.writeFileSync(filePath, products.map((p) => JSON.stringify(p)).join("\n") + "\n", "utf-8");
+}
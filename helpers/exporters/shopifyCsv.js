@@ -0,0 +1,60 @@
+// helpers/exporters/shopifyCsv.js
+//
+// Shopify's product CSV import format: one row per variant with the
+// product's Title, Body and Tags on the first row only, the gallery spread
+// over the rows by Image Position and the photos left over on image-only
+// rows. These rows are what gets validated, pushed, diffed and written as
+// the CSV/XLSX output.
+import { attributeColumns } from "../attributes.js";
+import { inventoryColumns } from "../inventory.js";
+
+/**
+ * Shopify rows of one product; none for a product without variants.
+ * @param {import('../productModel.js').Product} product
+ * @returns {object[]}
+ */
+export function toShopifyRows(product) {
+  if (!product.variants.length) return [];
+  const rows = product.variants.map((variant, i) => {
+    const image = product.images[i];
+    const row = {
+      Handle: product.handle,
+      Title: i === 0 ? product.title : "",
+      "Body (HTML)": i === 0 ? product.descriptionHtml : "",
+      Vendor: product.vendor,
+      Type: product.type,
+      Tags: i === 0 ? product.tags.join(", ") : "",
+    };
+    product.options.forEach((option, n) => {
+      row[`Option${n + 1} Name`] = option.name;
+      row[`Option${n + 1} Value`] = variant.options[option.name] || "";
+    });
+    return Object.assign(row, {
+      "Variant SKU": variant.sku,
+      "Variant Barcode": variant.barcode,
+      "Variant Price": variant.price,
+      "Variant Compare At Price": variant.compareAtPrice,
+      "Cost per item": variant.cost,
+      source_currency: variant.sourceCurrency,
+      source_price: variant.sourcePrice,
+      source_sku: variant.sourceSku,
+      "Image Src": image?.src || "",
+      "Image Position": image ? image.position : "",
+      "Image Alt Text": image?.alt || "",
+      "Variant Image": variant.image,
+      ...inventoryColumns(variant),
+      original_product_url: product.url,
+    });
+  });
+  Object.assign(rows[0], attributeColumns(product.attributes));
+
+  for (const image of product.images.slice(rows.length)) {
+    rows.push({
+      Handle: product.handle,
+      "Image Src": image.src,
+      "Image Position": image.position,
+      "Image Alt Text": image.alt,
+    });
+  }
+  return rows;
+}
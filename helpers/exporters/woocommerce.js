@@ -0,0 +1,122 @@
+// helpers/exporters/woocommerce.js
+//
+// WooCommerce's built-in product CSV importer format: one "variable" parent
+// row per product followed by its "variation" rows, or a single "simple" row
+// for products without options.
+import xlsx from "xlsx";
+import { htmlToPlainText, regularAndSalePrice } from "../productModel.js";
+
+const MAX_ATTRIBUTES = 2;
+
+const COLUMNS = [
+  "Type",
+  "SKU",
+  "Name",
+  "Parent",
+  "Published",
+  "Short description",
+  "Description",
+  "In stock?",
+  "Stock",
+  "Regular price",
+  "Sale price",
+  "Categories",
+  "Tags",
+  "Images",
+  "GTIN, UPC, EAN, or ISBN",
+  ...Array.from({ length: MAX_ATTRIBUTES }, (_, i) => [
+    `Attribute ${i + 1} name`,
+    `Attribute ${i + 1} value(s)`,
+    `Attribute ${i + 1} visible`,
+    `Attribute ${i + 1} global`,
+  ]).flat(),
+  "Meta: _vendor",
+  "Meta: _source_url",
+];
+
+function stockColumns(variant) {
+  return {
+    "In stock?": variant.availability === "out_of_stock" ? 0 : 1,
+    Stock: variant.inventoryQty ?? "",
+  };
+}
+
+function priceColumns(variant) {
+  const { regularPrice, salePrice } = regularAndSalePrice(variant);
+  return { "Regular price": regularPrice, "Sale price": salePrice };
+}
+
+/**
+ * @param {import('../productModel.js').Product} product
+ * @returns {object[]} WooCommerce rows for one product.
+ */
+export function toWooCommerceRows(product) {
+  const parentSku = product.id;
+  const shared = {
+    Name: product.title,
+    Published: 1,
+    "Short description": htmlToPlainText(product.descriptionHtml).split("\n")[0] || "",
+    Description: product.descriptionHtml,
+    Categories: product.type,
+    Tags: product.tags.join(", "),
+    Images: product.images.map((image) => image.src).join(", "),
+    "Meta: _vendor": product.vendor,
+    "Meta: _source_url": product.url,
+  };
+
+  if (!product.options.length) {
+    const [variant] = product.variants;
+    return [
+      {
+        ...shared,
+        Type: "simple",
+        SKU: variant?.sku || parentSku,
+        "GTIN, UPC, EAN, or ISBN": variant?.barcode || "",
+        ...(variant ? { ...stockColumns(variant), ...priceColumns(variant) } : {}),
+      },
+    ];
+  }
+
+  const attributes = product.options.slice(0, MAX_ATTRIBUTES);
+  const parent = { ...shared, Type: "variable", SKU: parentSku };
+  attributes.forEach((option, i) => {
+    parent[`Attribute ${i + 1} name`] = option.name;
+    parent[`Attribute ${i + 1} value(s)`] = option.values.join(", ");
+    parent[`Attribute ${i + 1} visible`] = 1;
+    parent[`Attribute ${i + 1} global`] = 0;
+  });
+
+  const variations = product.variants.map((variant) => {
+    const row = {
+      Type: "variation",
+      SKU: variant.sku,
+      Name: `${product.title} - ${Object.values(variant.options).join(", ")}`,
+      Parent: parentSku,
+      Published: 1,
+      Images: variant.image,
+      "GTIN, UPC, EAN, or ISBN": variant.barcode,
+      ...stockColumns(variant),
+      ...priceColumns(variant),
+    };
+    attributes.forEach((option, i) => {
+      row[`Attribute ${i + 1} name`] = option.name;
+      row[`Attribute ${i + 1} value(s)`] = variant.options[option.name] || "";
+      row[`Attribute ${i + 1} global`] = 0;
+    });
+    return row;
+  });
+
+  return [parent, ...variations];
+}
+
+/**
+ * @param {import('../productModel.js').Product[]} products
+ * @param {string} filePath
+ */
+export function writeWooCommerceCsv(products, filePath) {
+  const rows = products.flatMap(toWooCommerceRows);
+  const ws = xlsx.utils.json_to_sheet(rows, { header: COLUMNS });
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, "Products");
+  xlsx.writeFile(wb, filePath, { bookType: "csv", FS: ",", RS: "\n" });
+}
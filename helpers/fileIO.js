@@ -1,6 +1,9 @@
 import fs from "fs";
 import path from "path";
 import xlsx from "xlsx";
+import { attributeColumnNames, metafieldFromColumn } from "./attributes.js";
+import { questionCsvRows, reviewCsvRows } from "./reviews.js";
+import { logger } from "./logger.js";
 
 // Fixed columns we want always to appear in this order
 const FIXED_COLUMNS = [
@@ -15,45 +18,84 @@ const FIXED_COLUMNS = [
   "Option2 Name",
   "Option2 Value",
   "Variant SKU",
+  "Variant Barcode",
   "Variant Price",
   "Variant Compare At Price",
   "Cost per item",
   "Image Src",
+  "Image Position",
   "Image Alt Text",
   "Variant Image",
   "Variant Fulfillment Service",
   "Variant Inventory Policy",
   "Variant Inventory Tracker",
+  "Variant Inventory Qty",
   "original_product_url",
+  "source_currency",
+  "source_price",
+  "source_sku",
 ];
 
+/**
+ * Builds the timestamped base name shared by every output file of a run.
+ * @param {Date} [now]
+ * @param {string} [prefix] - Usually the retailer's file prefix.
+ * @returns {string} e.g. "Macy_products_2025-07-19_08-24"
+ */
+export function buildOutputFileName(now = new Date(), prefix = "products") {
+  const timestamp = now.toISOString().slice(0, 16).replace("T", "_").replace(":", "-");
+  return `${prefix}_${timestamp}`;
+}
+
+/**
+ * FIXED_COLUMNS, then the attribute mapping's metafield columns, then any
+ * other metafield column the rows carry (e.g. review ratings).
+ */
+function outputColumns(rows) {
+  const columns = [...FIXED_COLUMNS, ...attributeColumnNames()];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column) && metafieldFromColumn(column)) columns.push(column);
+    }
+  }
+  return columns;
+}
+
+function normalizeRows(rows, columns) {
+  return rows.map((item) => {
+    const normalized = {};
+    columns.forEach((key) => {
+      normalized[key] = key in item ? item[key] : "";
+    });
+    return normalized;
+  });
+}
+
 export function saveToCSVAndExcel({
   productRow,
   excel = true,
   csv = true,
   failedUrls,
+  outputDir = "./output",
+  fileName = buildOutputFileName(),
 }) {
-  const now = new Date();
-  const timestamp = now.toISOString().slice(0, 16).replace("T", "_").replace(":", "-");
-  const fileName = `Macy_products_${timestamp}`;
-  const outputDir = "./output";
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
 
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
+  if (failedUrls && failedUrls.length) {
+    const jsonPath = path.join(outputDir, `${fileName}_failed_urls.json`);
+    fs.writeFileSync(jsonPath, JSON.stringify(failedUrls, null, 2), "utf-8");
+    logger.info("✅ Saved failed URL list to JSON file.");
+  }
 
   if (!productRow || !productRow.length) {
-    console.warn("⚠️ No product data to save.");
+    logger.warn("⚠️ No product data to save.");
     return;
   }
 
-  const normalizedRows = productRow.map((item) => {
-    const normalized = {};
-    FIXED_COLUMNS.forEach((key) => {
-      normalized[key] = key in item ? item[key] : "";
-    });
-    return normalized;
+  const columns = outputColumns(productRow);
+  const ws = xlsx.utils.json_to_sheet(normalizeRows(productRow, columns), {
+    header: columns,
   });
-
-  const ws = xlsx.utils.json_to_sheet(normalizedRows, { header: FIXED_COLUMNS });
   const wb = xlsx.utils.book_new();
   xlsx.utils.book_append_sheet(wb, ws, "Products");
 
@@ -66,10 +108,89 @@ export function saveToCSVAndExcel({
     const excelPath = path.join(outputDir, `${fileName}.xlsx`);
     xlsx.writeFile(wb, excelPath);
   }
+}
 
-  if (failedUrls && failedUrls.length) {
-    const jsonPath = path.join(outputDir, `${fileName}_failed_urls.json`);
-    fs.writeFileSync(jsonPath, JSON.stringify(failedUrls, null, 2), "utf-8");
-    console.log("✅ Saved failed URL list to JSON file.");
-  }
+function writeJsonOutput(outputDir, fileName, suffix, data) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  const jsonPath = path.join(outputDir, `${fileName}_${suffix}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2), "utf-8");
+  return jsonPath;
+}
+
+/**
+ * Writes the change report of an incremental run next to the other outputs.
+ * @param {{report: object, outputDir?: string, fileName?: string}} options
+ * @returns {string} Path of the written `<fileName>_changes.json`.
+ */
+export function saveChangeReport({ report, outputDir = "./output", fileName = buildOutputFileName() }) {
+  const reportPath = writeJsonOutput(outputDir, fileName, "changes", report);
+  logger.info(`✅ Saved change report to ${reportPath}`);
+  return reportPath;
+}
+
+/**
+ * Writes the `productSet` inputs a Shopify dry run would have sent.
+ * @param {{planned: object[], outputDir?: string, fileName?: string}} options
+ * @returns {string} Path of the written `<fileName>_shopify_dry_run.json`.
+ */
+export function saveShopifyDryRun({ planned, outputDir = "./output", fileName = buildOutputFileName() }) {
+  const planPath = writeJsonOutput(outputDir, fileName, "shopify_dry_run", planned);
+  logger.info(`✅ Saved Shopify dry-run plan to ${planPath}`);
+  return planPath;
+}
+
+/**
+ * Writes the end-of-run summary (counts, warnings, failures, timings).
+ * @param {{summary: object, outputDir?: string, fileName?: string}} options
+ * @returns {string} Path of the written `<fileName>_summary.json`.
+ */
+export function saveRunSummary({ summary, outputDir = "./output", fileName = buildOutputFileName() }) {
+  const summaryPath = writeJsonOutput(outputDir, fileName, "summary", summary);
+  logger.info(`✅ Saved run summary to ${summaryPath}`);
+  return summaryPath;
+}
+
+/**
+ * Writes the rows that failed validation as a Shopify CSV with a leading
+ * "Rejection Reason" column, so they can be fixed and imported separately.
+ * @param {{rejectedRows: Array<{row: object, reason: string}>, outputDir?: string, fileName?: string}} options
+ * @returns {string} Path of the written `<fileName>_rejected.csv`.
+ */
+export function saveRejectedRows({ rejectedRows, outputDir = "./output", fileName = buildOutputFileName() }) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  const rows = rejectedRows.map(({ row, reason }) => ({ ...row, "Rejection Reason": reason }));
+  const columns = ["Rejection Reason", ...outputColumns(rows)];
+  const ws = xlsx.utils.json_to_sheet(normalizeRows(rows, columns), { header: columns });
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, "Rejected");
+  const csvPath = path.join(outputDir, `${fileName}_rejected.csv`);
+  xlsx.writeFile(wb, csvPath, { bookType: "csv", FS: ",", RS: "\n" });
+  logger.warn(`⚠️ Saved ${rejectedRows.length} rejected row(s) to ${csvPath}`);
+  return csvPath;
+}
+
+/**
+ * Writes the captured reviews: `<fileName>_reviews.json` keyed by handle
+ * (rating, count, reviews and questions of each product),
+ * `<fileName>_reviews.csv` with one row per review and
+ * `<fileName>_questions.csv` with one row per answer.
+ * @param {{reviewsByHandle: Object<string, object>, outputDir?: string, fileName?: string}} options
+ * @returns {string} Path of the written JSON file.
+ */
+export function saveReviews({ reviewsByHandle, outputDir = "./output", fileName = buildOutputFileName() }) {
+  const jsonPath = writeJsonOutput(outputDir, fileName, "reviews", reviewsByHandle);
+  const writeCsv = (suffix, sheetName, rows, columns) => {
+    const ws = xlsx.utils.json_to_sheet(rows, { header: columns });
+    const wb = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(wb, ws, sheetName);
+    xlsx.writeFile(wb, path.join(outputDir, `${fileName}_${suffix}.csv`), { bookType: "csv", FS: ",", RS: "\n" });
+  };
+  const rows = reviewCsvRows(reviewsByHandle);
+  writeCsv("reviews", "Reviews", rows, ["Handle", "Rating", "Title", "Body", "Date", "Verified", "URL"]);
+  const questionRows = questionCsvRows(reviewsByHandle);
+  writeCsv("questions", "Questions", questionRows, ["Handle", "Question", "Question Date", "Answer", "Answer Date", "URL"]);
+  logger.info(
+    `✅ Saved ${rows.length} review(s) and ${questionRows.length} answer row(s) of ${Object.keys(reviewsByHandle).length} product(s) to ${jsonPath}, ${fileName}_reviews.csv and ${fileName}_questions.csv`
+  );
+  return jsonPath;
 }
@@ -0,0 +1,134 @@
+// helpers/fixtures.js
+//
+// Record product pages (HTML plus the network responses they need) into a
+// fixture directory, and replay them offline through Playwright routing so
+// the extractors can run against saved pages.
+import fs from "fs";
+import path from "path";
+import { getRetailerForUrl } from "./retailers/index.js";
+import { logger } from "./logger.js";
+
+// Only responses the extractors can depend on are saved; images, fonts and
+// media are answered with an empty 404 on replay.
+const RECORDED_RESOURCE_TYPES = ["document", "script", "xhr", "fetch", "stylesheet"];
+
+function sanitizeFileName(url, index, contentType) {
+  const ext = /html/.test(contentType)
+    ? ".html"
+    : /json/.test(contentType)
+    ? ".json"
+    : /javascript/.test(contentType)
+    ? ".js"
+    : /css/.test(contentType)
+    ? ".css"
+    : ".txt";
+  const base = new URL(url).pathname.split("/").filter(Boolean).pop() || "index";
+  return `${String(index).padStart(3, "0")}-${base.replace(/[^a-zA-Z0-9_-]+/g, "_").slice(0, 60)}${ext}`;
+}
+
+/**
+ * Loads a product through its retailer adapter while saving every response
+ * it needed, and writes the resulting product as `expected.json`.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} url - Product URL to record.
+ * @param {string} fixtureDir - Directory to write the fixture into.
+ * @returns {Promise<import('./productModel.js').Product>} The product read while recording.
+ */
+export async function recordFixture(page, url, fixtureDir) {
+  const retailer = getRetailerForUrl(url);
+  if (!retailer) throw new Error(`No retailer adapter for ${url}`);
+  fs.mkdirSync(fixtureDir, { recursive: true });
+  const responses = [];
+  const pending = [];
+
+  const onResponse = (response) => {
+    const request = response.request();
+    if (request.method() !== "GET") return;
+    if (!RECORDED_RESOURCE_TYPES.includes(request.resourceType())) return;
+    pending.push(
+      response
+        .body()
+        .then((body) => {
+          const contentType = response.headers()["content-type"] || "";
+          const file = sanitizeFileName(response.url(), responses.length, contentType);
+          fs.writeFileSync(path.join(fixtureDir, file), body);
+          responses.push({ url: response.url(), status: response.status(), contentType, file });
+        })
+        .catch(() => {
+          // Redirects and aborted requests have no body; nothing to save.
+        })
+    );
+  };
+
+  page.on("response", onResponse);
+  let product;
+  try {
+    product = await retailer.extractProduct(page, url, "");
+  } finally {
+    page.off("response", onResponse);
+    await Promise.all(pending);
+  }
+
+  fs.writeFileSync(
+    path.join(fixtureDir, "manifest.json"),
+    JSON.stringify({ url, recordedAt: new Date().toISOString(), responses }, null, 2),
+    "utf-8"
+  );
+  fs.writeFileSync(path.join(fixtureDir, "expected.json"), JSON.stringify(product, null, 2), "utf-8");
+  logger.info(`📼 Recorded ${responses.length} response(s) into ${fixtureDir}`);
+  return product;
+}
+
+/**
+ * Reads a fixture's manifest.
+ * @param {string} fixtureDir
+ * @returns {{url: string, responses: Array<{url: string, status: number, contentType: string, file: string}>}}
+ */
+export function loadFixtureManifest(fixtureDir) {
+  return JSON.parse(fs.readFileSync(path.join(fixtureDir, "manifest.json"), "utf-8"));
+}
+
+/**
+ * Routes every request of `target` to the fixture's saved responses. A
+ * request is matched by exact URL first, then by origin + path (tracking
+ * query strings differ between runs). Anything else gets an empty 404, so
+ * replay never touches the network.
+ *
+ * @param {import('playwright').Page|import('playwright').BrowserContext} target
+ * @param {string} fixtureDir
+ * @returns {Promise<{url: string}>} The fixture's product URL.
+ */
+export async function replayFixture(target, fixtureDir) {
+  const manifest = loadFixtureManifest(fixtureDir);
+  const byUrl = new Map();
+  const byPath = new Map();
+  for (const entry of manifest.responses) {
+    byUrl.set(entry.url, entry);
+    const { origin, pathname } = new URL(entry.url);
+    if (!byPath.has(origin + pathname)) byPath.set(origin + pathname, entry);
+  }
+
+  await target.route("**/*", (route) => {
+    const requestUrl = route.request().url();
+    let entry = byUrl.get(requestUrl);
+    if (!entry) {
+      try {
+        const { origin, pathname } = new URL(requestUrl);
+        entry = byPath.get(origin + pathname);
+      } catch {
+        // data: and similar URLs
+      }
+    }
+    if (!entry) {
+      return route.fulfill({ status: 404, body: "" });
+    }
+    return route.fulfill({
+      status: entry.status,
+      contentType: entry.contentType,
+      body: fs.readFileSync(path.join(fixtureDir, entry.file)),
+    });
+  });
+
+  return { url: manifest.url };
+}
@@ -1,6 +1,8 @@
 // helpers/formatters.js
 
-import { VARIANT_PRICE_RATE } from "./constants.js";
+import { applyPricingRules } from "./pricing.js";
+import { logger } from "./logger.js";
+import { convertAmount, parsePrice } from "./currency.js";
 
 /**
  * Formats a given URL into a Shopify-compatible handle.
@@ -18,7 +20,7 @@ export function formatHandleFromUrl(url) {
     handle = handle.replace(/^-+|-+$/g, "");
     return handle;
   } catch (error) {
-    console.warn("⚠️ Could not format handle from URL:", error.message);
+    logger.warn("⚠️ Could not format handle from URL:", error.message, { field: "handle" });
     return "";
   }
 }
@@ -36,36 +38,67 @@ export function extractSKU(url) { // <-- Make sure 'export' is here
       return match[1];
     }
   } catch (error) {
-    console.warn("⚠️ Could not extract SKU from URL:", error.message);
+    logger.warn("⚠️ Could not extract SKU from URL:", error.message, { field: "sku" });
   }
   return "";
 }
 
 /**
- * Calculates variant price and compare at price based on the provided "cost per item" (displayed original price).
+ * Calculates cost, variant price and compare-at price from the scraped prices
+ * using the active pricing rules (see helpers/pricing.js). Prices are read
+ * with helpers/currency.js (ranges, "Now … Orig. …" pairs, currency symbols)
+ * and converted to the store currency first when one is set.
  *
- * @param {string} displayedCostPerItemText - The extracted text from the element
- * identified as the 'cost per item' (e.g., "$100.00").
- * @returns {{costPerItem: string, variantPrice: string, compareAtPrice: string}}
+ * @param {string|{salePrice?: string, regularPrice?: string}} displayedPrices -
+ * Either the legacy single price text (treated as the regular price, e.g.
+ * "$100.00") or the sale/regular price texts shown on the page.
+ * @param {{brand?: string, categories?: string}} [product] - Used to pick the
+ * matching pricing rule.
+ * @returns {{costPerItem: string, variantPrice: string, compareAtPrice: string, sourceCurrency: string, sourcePrice: string}}
+ * `sourceCurrency` and `sourcePrice` are the currency and selling price shown
+ * on the page, before conversion and pricing rules.
  */
-export function calculatePrices(displayedCostPerItemText) {
+export function calculatePrices(displayedPrices, product = {}) {
   let costPerItem = "";
   let variantPrice = "";
   let compareAtPrice = "";
+  let sourceCurrency = "";
+  let sourcePrice = "";
 
-  if (displayedCostPerItemText) {
-    const cleanedCostPerItem = parseFloat(displayedCostPerItemText.replace(/[^0-9.]/g, ''));
+  const { salePrice = "", regularPrice = "" } =
+    typeof displayedPrices === "string"
+      ? { regularPrice: displayedPrices }
+      : displayedPrices || {};
 
-    if (!isNaN(cleanedCostPerItem)) {
-      costPerItem = cleanedCostPerItem.toFixed(2);
-      const parsedVariantPrice = cleanedCostPerItem * VARIANT_PRICE_RATE;
-      variantPrice = parsedVariantPrice.toFixed(2);
-      compareAtPrice = costPerItem;
-      console.log(`Original Price/Cost: ${costPerItem}, Calculated Variant Price: ${variantPrice}, Compare At Price: ${compareAtPrice}`);
+  if (salePrice || regularPrice) {
+    const sale = parsePrice(salePrice);
+    const regular = parsePrice(regularPrice);
+    // One text may hold both prices ("Now $45.00 Orig. $90.00").
+    const saleAmount = isNaN(sale.amount) && !isNaN(regular.original) ? regular.amount : sale.amount;
+    const regularAmount = [regular.original, sale.original, regular.amount].find((a) => !isNaN(a)) ?? NaN;
+    const shown = isNaN(sale.amount) ? regular : sale;
+
+    const result = applyPricingRules(
+      {
+        salePrice: convertAmount(saleAmount, shown.currency),
+        regularPrice: convertAmount(regularAmount, shown.currency),
+      },
+      product
+    );
+
+    if (result) {
+      costPerItem = result.cost.toFixed(2);
+      variantPrice = result.price.toFixed(2);
+      compareAtPrice = result.compareAt === "" ? "" : result.compareAt.toFixed(2);
+      sourceCurrency = shown.currency;
+      sourcePrice = (isNaN(saleAmount) ? regularAmount : saleAmount).toFixed(2);
+      logger.debug(`Original Price/Cost: ${costPerItem}, Calculated Variant Price: ${variantPrice}, Compare At Price: ${compareAtPrice}`);
     } else {
-      console.warn(`Could not parse displayedCostPerItemText: "${displayedCostPerItemText}"`);
+      logger.warn(`Could not parse displayed prices: "${salePrice}" / "${regularPrice}"`, {
+        field: "price",
+      });
     }
   }
 
-  return { costPerItem, variantPrice, compareAtPrice };
-}
\ No newline at end of file
+  return { costPerItem, variantPrice, compareAtPrice, sourceCurrency, sourcePrice };
+}
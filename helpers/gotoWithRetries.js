@@ -1,18 +1,26 @@
 // helpers/gotoWithRetries.js (After)
-import { SELECTORS } from './constants.js';
+import { BlockedError, detectBlockPage } from './blocking.js';
+import { anySelector } from './selectors.js';
+import { logger } from './logger.js';
 
-export async function gotoMacyWithRetries(page, url, retries = 3) { // Renamed function
-  const fallbackSelectors = [
-    SELECTORS.PRODUCT.TITLE_BRAND, // Brand name
-    SELECTORS.PRODUCT.PRICE_WRAPPER,    // Price wrapper
-    SELECTORS.PRODUCT.MAIN_IMAGE // Main Image
-  ];
+/**
+ * Loads a page, retrying with backoff, and waits until any of the retailer's
+ * ready selectors (each a selector or fallback list) shows up. A block or
+ * challenge page throws {@link BlockedError} right away: retrying from the
+ * same session only digs deeper, so the caller should rotate instead.
+ * @param {import('playwright').Page} page
+ * @param {string} url
+ * @param {number} [retries]
+ * @param {Array<string|string[]>} [readySelectors]
+ */
+export async function gotoWithRetries(page, url, retries = 3, readySelectors = []) {
+  const fallbackSelectors = readySelectors;
 
   for (let i = 0; i <= retries; i++) {
     try {
-      console.log(`🌐 Loading (attempt ${i+1}/${retries+1}): ${url}`);
+      logger.info(`🌐 Loading (attempt ${i+1}/${retries+1}): ${url}`);
 
-      await page.goto(url, {
+      const response = await page.goto(url, {
         waitUntil: 'domcontentloaded',
         timeout: 60000
       });
@@ -20,14 +28,18 @@ export async function gotoMacyWithRetries(page, url, retries = 3) { // Renamed f
       // Wait for any of the key elements to appear
       await Promise.any([
         ...fallbackSelectors.map(selector =>
-          page.waitForSelector(selector, { timeout: 15000 })
+          page.waitForSelector(anySelector(selector), { timeout: 15000 })
         ),
         page.waitForTimeout(10000) // Fallback timeout for general page stability
       ]);
 
+      const blockReason = await detectBlockPage(page, response);
+      if (blockReason) throw new BlockedError(url, blockReason);
+
       return; // Success
     } catch (error) {
-      console.warn(`⚠️ Attempt ${i+1} failed for ${url}: ${error.message}`);
+      if (error instanceof BlockedError) throw error;
+      logger.warn(`⚠️ Attempt ${i+1} failed for ${url}: ${error.message}`);
       if (i === retries) throw error;
       await page.waitForTimeout(3000 * (i+1)); // Exponential backoff
     }
@@ -0,0 +1,163 @@
+// helpers/imageRehost.js
+//
+// Optional stage that copies every image of the scraped products into the
+// output directory, so the export no longer depends on the retailer's CDN
+// (whose URLs can expire or refuse hotlinking). Files are named after a hash
+// of their content: the same photo used by several variants or products is
+// stored once, and a re-run produces the same names.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+import { runWithPool } from "./pool.js";
+
+const EXTENSIONS_BY_TYPE = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+  "image/tiff": "tif",
+};
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const DOWNLOAD_ATTEMPTS = 2;
+
+/**
+ * File extension for a downloaded image: from the Content-Type, else from
+ * the URL path, else "jpg".
+ * @param {string} contentType
+ * @param {string} url
+ * @returns {string}
+ */
+export function imageExtension(contentType, url) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (EXTENSIONS_BY_TYPE[type]) return EXTENSIONS_BY_TYPE[type];
+  const match = /\.(jpe?g|png|webp|gif|avif|tiff?)$/i.exec(new URL(url).pathname);
+  return match ? match[1].toLowerCase().replace("jpeg", "jpg").replace("tiff", "tif") : "jpg";
+}
+
+/**
+ * Public URL of a stored image.
+ * @param {string} baseUrl - e.g. "https://cdn.example.com/products"
+ * @param {string} file - File name inside the image directory.
+ * @returns {string}
+ */
+export function rehostedUrl(baseUrl, file) {
+  return `${baseUrl.replace(/\/+$/, "")}/${file}`;
+}
+
+async function fetchImage(url, referer, fetchImpl) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetchImpl(url, {
+        headers: referer ? { Referer: referer } : {},
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        // Client errors (404, 403 hotlink refusals) won't change on a retry.
+        const error = new Error(`HTTP ${response.status}`);
+        error.retryable = response.status >= 500;
+        throw error;
+      }
+      const contentType = response.headers.get("content-type") || "";
+      if (contentType && !contentType.startsWith("image/")) {
+        throw new Error(`Not an image (${contentType})`);
+      }
+      return { body: Buffer.from(await response.arrayBuffer()), contentType };
+    } catch (err) {
+      if (attempt >= DOWNLOAD_ATTEMPTS || err.retryable === false) throw err;
+    }
+  }
+}
+
+// sharp is a native module; it is only loaded when images are converted, so
+// runs without --image-format/--image-max-width never depend on it.
+async function convertImage(body, { format, maxWidth }) {
+  const { default: sharp } = await import("sharp");
+  let image = sharp(body);
+  if (maxWidth) image = image.resize({ width: maxWidth, withoutEnlargement: true });
+  if (format === "webp") image = image.webp({ quality: 85 });
+  return image.toBuffer();
+}
+
+const imageUrls = (product) => [
+  ...product.images.map((image) => image.src),
+  ...product.variants.map((variant) => variant.image),
+];
+
+/**
+ * Downloads every gallery and variant image of the products into
+ * `imageDir` and, when `baseUrl` is set, points the products at the stored
+ * copies. Images that fail to download keep their original URL.
+ *
+ * @param {import('./productModel.js').Product[]} products - All products of the run (mutated).
+ * @param {{imageDir: string, baseUrl?: string, format?: "original"|"webp", maxWidth?: number, concurrency?: number, fetchImpl?: typeof fetch}} options
+ * - `format: "webp"` converts every image to WebP; `maxWidth` scales wider
+ * images down. Both need the `sharp` package.
+ * @returns {Promise<{images: Array<{sourceUrl: string, file: string, hash: string}>, duplicates: number, failures: Array<{url: string, imageUrl: string, error: string}>}>}
+ * `duplicates` counts distinct URLs whose content was already stored.
+ */
+export async function rehostImages(
+  products,
+  { imageDir, baseUrl = "", format = "original", maxWidth = 0, concurrency = 4, fetchImpl = fetch }
+) {
+  // Each distinct URL is fetched once, with the product page as Referer.
+  const refererByUrl = new Map();
+  for (const product of products) {
+    for (const url of imageUrls(product)) {
+      if (url && !refererByUrl.has(url)) refererByUrl.set(url, product.url || "");
+    }
+  }
+
+  fs.mkdirSync(imageDir, { recursive: true });
+  const convert = format === "webp" || maxWidth > 0;
+  const fileByHash = new Map();
+  const fileByUrl = new Map();
+  const images = [];
+  const failures = [];
+  let duplicates = 0;
+
+  const results = await runWithPool(
+    [...refererByUrl],
+    async ([url, referer]) => {
+      const { body, contentType } = await fetchImage(url, referer, fetchImpl);
+      const hash = crypto.createHash("sha256").update(body).digest("hex").slice(0, 20);
+
+      if (fileByHash.has(hash)) {
+        duplicates++;
+      } else {
+        const extension = format === "webp" ? "webp" : imageExtension(contentType, url);
+        const file = `${hash}.${extension}`;
+        fileByHash.set(hash, file);
+        const filePath = path.join(imageDir, file);
+        if (!fs.existsSync(filePath)) {
+          fs.writeFileSync(filePath, convert ? await convertImage(body, { format, maxWidth }) : body);
+        }
+      }
+      fileByUrl.set(url, fileByHash.get(hash));
+      images.push({ sourceUrl: url, file: fileByHash.get(hash), hash });
+    },
+    { concurrency }
+  );
+
+  [...refererByUrl].forEach(([url, referer], index) => {
+    if (results[index].status !== "rejected") return;
+    const error = results[index].reason.message;
+    logger.warn(`⚠️ Could not download image ${url}: ${error}`, { field: "images", url: referer });
+    failures.push({ url: referer, imageUrl: url, error });
+  });
+
+  if (baseUrl) {
+    const stored = (url) => (fileByUrl.has(url) ? rehostedUrl(baseUrl, fileByUrl.get(url)) : url);
+    for (const product of products) {
+      for (const image of product.images) image.src = stored(image.src);
+      for (const variant of product.variants) variant.image = stored(variant.image);
+    }
+  }
+
+  logger.info(
+    `🖼️ Stored ${fileByHash.size} image(s) in ${imageDir} (${duplicates} duplicate(s), ${failures.length} failed).`
+  );
+  return { images, duplicates, failures };
+}
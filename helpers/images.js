@@ -0,0 +1,103 @@
+// helpers/images.js
+import { evalAll } from "./selectors.js";
+
+/**
+ * Checks that a URL points at a product photo on one of the retailer's image
+ * hosts, and not at site chrome such as flag icons.
+ * @param {string} url
+ * @param {string[]} imageHosts
+ * @returns {boolean}
+ */
+export function isProductImageUrl(url, imageHosts) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const hostOk = imageHosts.some(
+      (host) => hostname === host || hostname.endsWith(`.${host}`)
+    );
+    return hostOk && !/\/(flags|icons?|badges?|static)\//i.test(pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * De-duplicates image URLs by host and path, ignoring size/format query
+ * parameters, and drops anything that is not a product photo.
+ * @param {string[]} urls
+ * @param {string[]} imageHosts
+ * @returns {string[]}
+ */
+export function cleanImageList(urls, imageHosts) {
+  const seen = new Set();
+  const result = [];
+  for (const url of urls) {
+    if (!url || !isProductImageUrl(url, imageHosts)) continue;
+    const { hostname, pathname } = new URL(url);
+    const key = hostname + pathname;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(url);
+  }
+  return result;
+}
+
+/**
+ * Collects every gallery image currently shown on the product page (i.e. for
+ * the selected color).
+ * @param {import('playwright').Page} page
+ * @param {string|string[]} gallerySelectors
+ * @param {string[]} imageHosts
+ * @returns {Promise<string[]>}
+ */
+export async function extractGalleryImages(page, gallerySelectors, imageHosts) {
+  const urls = await evalAll(page, gallerySelectors, (imgs) =>
+    imgs.map((img) => {
+      // Prefer the largest srcset candidate over the lazy-load placeholder
+      const srcset = img.getAttribute("srcset") || img.getAttribute("data-srcset") || "";
+      const largest = srcset
+        .split(",")
+        .map((part) => part.trim().split(/\s+/))
+        .filter(([src]) => src)
+        .sort((a, b) => parseInt(b[1] || "0", 10) - parseInt(a[1] || "0", 10))[0];
+      const src = largest?.[0] || img.currentSrc || img.src || img.getAttribute("data-src") || "";
+      return src ? new URL(src, location.href).href : "";
+    })
+  ).catch(() => []);
+  return cleanImageList(urls, imageHosts);
+}
+
+/**
+ * Turns the per-color galleries into the product's image list (numbered by
+ * position, each photo once) and gives every variant its color's first
+ * image, or the product's first image when its color has none.
+ *
+ * @param {import('./productModel.js').Product} product - Mutated.
+ * @param {Array<{color: string, images: string[]}>} galleries - In display order.
+ * @param {string} [colorOptionName] - Name of the option that holds the color.
+ * @returns {import('./productModel.js').Product} The same product.
+ */
+export function applyImageGalleries(product, galleries, colorOptionName = "Color") {
+  const images = [];
+  const seen = new Set();
+  for (const { color, images: gallery } of galleries) {
+    for (const src of gallery) {
+      if (seen.has(src)) continue;
+      seen.add(src);
+      images.push({
+        src,
+        alt: color ? `${product.title} - ${color}` : product.title,
+        position: images.length + 1,
+      });
+    }
+  }
+
+  const firstImageByColor = new Map(
+    galleries.filter((g) => g.images.length).map((g) => [g.color, g.images[0]])
+  );
+  const fallbackImage = images[0]?.src || "";
+  for (const variant of product.variants) {
+    variant.image = firstImageByColor.get(variant.options[colorOptionName] || "") || fallbackImage;
+  }
+  product.images = images;
+  return product;
+}
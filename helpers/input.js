@@ -0,0 +1,96 @@
+// helpers/input.js
+import fs from "fs";
+import path from "path";
+import xlsx from "xlsx";
+
+/**
+ * Loads URL entries from a .txt, .csv or .json file, or from stdin when the
+ * path is "-" or empty.
+ * @param {string} inputPath - Path to the input file, or "-" for stdin.
+ * @returns {Array<{url: string, tags: string, type: string, vendor: string}|*>}
+ * Normalized entries; anything that is not a usable entry is returned as-is so
+ * the caller can report it as failed.
+ */
+export function loadUrlEntries(inputPath) {
+  const fromStdin = !inputPath || inputPath === "-";
+  const content = fs
+    .readFileSync(fromStdin ? 0 : inputPath, "utf-8")
+    .replace(/^\uFEFF/, "");
+  const ext = fromStdin ? "" : path.extname(inputPath).toLowerCase();
+
+  let rawEntries;
+  switch (ext || detectFormat(content)) {
+    case ".json":
+      rawEntries = parseJsonEntries(content);
+      break;
+    case ".csv":
+      rawEntries = parseCsvEntries(content);
+      break;
+    default:
+      rawEntries = parseTextEntries(content);
+  }
+
+  return rawEntries.map(normalizeEntry);
+}
+
+/**
+ * Guesses the input format from its content (used for stdin and files
+ * without a known extension).
+ * @param {string} content
+ * @returns {string} ".json", ".csv" or ".txt"
+ */
+function detectFormat(content) {
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith("[")) return ".json";
+  const firstLine = trimmed.split(/\r?\n/, 1)[0].toLowerCase();
+  // A single "url" column has no comma, but is still a header.
+  if (/(^|,)\s*"?url"?\s*(,|$)/.test(firstLine)) return ".csv";
+  return ".txt";
+}
+
+function parseTextEntries(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+function parseJsonEntries(content) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data)) {
+    throw new Error("JSON input must be an array of URLs or { url } objects.");
+  }
+  return data;
+}
+
+function parseCsvEntries(content) {
+  const wb = xlsx.read(content, { type: "string", raw: true });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = xlsx.utils.sheet_to_json(ws, { defval: "", raw: false });
+
+  // Header names are matched case-insensitively ("URL", "Tags", ...)
+  return rows.map((row) => {
+    const entry = {};
+    for (const [key, value] of Object.entries(row)) {
+      entry[key.trim().toLowerCase()] = String(value).trim();
+    }
+    return entry;
+  });
+}
+
+function normalizeEntry(entry) {
+  if (typeof entry === "string") {
+    return { url: entry.trim(), tags: "", type: "", vendor: "" };
+  }
+  if (entry && typeof entry === "object" && entry.url) {
+    return {
+      url: String(entry.url).trim(),
+      tags: Array.isArray(entry.tags)
+        ? entry.tags.join(", ")
+        : entry.tags || "",
+      type: entry.type || "",
+      vendor: entry.vendor || "",
+    };
+  }
+  return entry;
+}
@@ -0,0 +1,115 @@
+// helpers/inventory.js
+import { optionsFromVariants } from "./productModel.js";
+import { queryFirst } from "./selectors.js";
+
+export const AVAILABILITY = {
+  IN_STOCK: "in_stock",
+  LOW_STOCK: "low_stock",
+  UNAVAILABLE: "unavailable",
+};
+
+/**
+ * How availability maps onto stock quantities and Shopify's inventory
+ * columns. `unavailable` is either "skip" (variant not exported) or "deny"
+ * (exported with zero stock and overselling denied).
+ */
+export const DEFAULT_INVENTORY_SETTINGS = {
+  unavailable: "deny",
+  tracker: "shopify",
+  fulfillmentService: "manual",
+  availablePolicy: "deny",
+  inStockQty: 10,
+  lowStockQty: 2,
+};
+
+let inventorySettings = DEFAULT_INVENTORY_SETTINGS;
+
+export function setInventorySettings(settings = {}) {
+  inventorySettings = { ...DEFAULT_INVENTORY_SETTINGS, ...settings };
+}
+
+/**
+ * The product as it is exported: with unavailable variants set to "skip",
+ * its sold-out variants are left out. Extractors keep every variant, so the
+ * change report still sees a sold-out variant as out of stock.
+ * @param {import('./productModel.js').Product} product
+ * @returns {import('./productModel.js').Product} The same product, or a copy
+ * without the skipped variants.
+ */
+export function skipUnavailableVariants(product) {
+  if (inventorySettings.unavailable !== "skip") return product;
+  const variants = product.variants.filter((variant) => variant.availability !== "out_of_stock");
+  return { ...product, variants, options: optionsFromVariants(variants) };
+}
+
+/**
+ * Stock fields of a product-model variant with the given availability.
+ * @param {string} availability - One of {@link AVAILABILITY}; blank counts as in stock.
+ * @returns {{availability: "in_stock"|"out_of_stock", inventoryQty: number}}
+ */
+export function variantStock(availability) {
+  const { inStockQty, lowStockQty } = inventorySettings;
+  switch (availability) {
+    case AVAILABILITY.UNAVAILABLE:
+      return { availability: "out_of_stock", inventoryQty: 0 };
+    case AVAILABILITY.LOW_STOCK:
+      return { availability: "in_stock", inventoryQty: lowStockQty };
+    default:
+      return { availability: "in_stock", inventoryQty: inStockQty };
+  }
+}
+
+/**
+ * Shopify inventory columns for a product-model variant.
+ * @param {import('./productModel.js').ProductVariant} variant
+ * @returns {object}
+ */
+export function inventoryColumns(variant) {
+  const { tracker, fulfillmentService, availablePolicy } = inventorySettings;
+  return {
+    "Variant Inventory Tracker": tracker,
+    "Variant Fulfillment Service": fulfillmentService,
+    "Variant Inventory Policy": variant.availability === "out_of_stock" ? "deny" : availablePolicy,
+    "Variant Inventory Qty": variant.inventoryQty,
+  };
+}
+
+/**
+ * Reads whether a size or color tile is crossed out / sold out, before it is
+ * clicked.
+ * @param {import('playwright').ElementHandle} anchor
+ * @returns {Promise<string>} "unavailable" or "in_stock".
+ */
+export async function readTileAvailability(anchor) {
+  const unavailable = await anchor
+    .evaluate((el) => {
+      const input = el.querySelector("input") || (el.htmlFor && document.getElementById(el.htmlFor));
+      const classes = `${el.className} ${el.parentElement?.className || ""}`;
+      return (
+        el.getAttribute("aria-disabled") === "true" ||
+        !!input?.disabled ||
+        /\b(disabled|unavailable|sold-?out|oos|crossed|strike)\b/i.test(classes) ||
+        /sold out|unavailable|not available/i.test(el.getAttribute("aria-label") || "")
+      );
+    })
+    .catch(() => false);
+  return unavailable ? AVAILABILITY.UNAVAILABLE : AVAILABILITY.IN_STOCK;
+}
+
+/**
+ * Reads the stock message shown for the currently selected variant.
+ * @param {import('playwright').Page} page
+ * @param {{UNAVAILABLE_MESSAGE?: string|string[], LOW_STOCK_MESSAGE?: string|string[]}} productSelectors -
+ * The retailer's SELECTORS.PRODUCT.
+ * @param {string} [tileAvailability] - Result of readTileAvailability, if any.
+ * @returns {Promise<string>} One of {@link AVAILABILITY}.
+ */
+export async function readSelectedAvailability(page, productSelectors, tileAvailability = AVAILABILITY.IN_STOCK) {
+  if (tileAvailability === AVAILABILITY.UNAVAILABLE) return tileAvailability;
+
+  const isShown = async (selectors) => (await queryFirst(page, selectors)) !== null;
+
+  if (await isShown(productSelectors.UNAVAILABLE_MESSAGE)) return AVAILABILITY.UNAVAILABLE;
+  if (await isShown(productSelectors.LOW_STOCK_MESSAGE)) return AVAILABILITY.LOW_STOCK;
+  return AVAILABILITY.IN_STOCK;
+}
@@ -0,0 +1,280 @@
+// helpers/jobServer.js
+//
+// Local HTTP API for people who don't run the CLI: submit URLs, watch the
+// "Processing URL n of m" progress and download the output files. Jobs wait
+// in a queue and run one at a time, so there is never more than one browser
+// pool scraping.
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { logger } from "./logger.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  ".csv": "text/csv; charset=utf-8",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".json": "application/json; charset=utf-8",
+  ".jsonl": "application/x-ndjson; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".tsv": "text/tab-separated-values; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+};
+
+/**
+ * Checks a submitted job and turns it into URL entries.
+ * @param {object} body - `{ urls: Array<string|{url, tags?, type?, vendor?}>, listings?: string[], tags?, type?, vendor? }`
+ * @returns {{entries: object[], listings: string[], defaults: {tags: string, type: string, vendor: string}}}
+ */
+export function parseJobRequest(body) {
+  if (!body || typeof body !== "object") throw new Error("Expected a JSON object");
+  const urls = Array.isArray(body.urls) ? body.urls : [];
+  const listings = Array.isArray(body.listings) ? body.listings.map(String) : [];
+  if (!urls.length && !listings.length) throw new Error("Give at least one URL in \"urls\" or \"listings\"");
+
+  const entries = urls.map((entry) => (typeof entry === "string" ? { url: entry.trim() } : entry));
+  const invalid = [...entries.map((entry) => entry?.url), ...listings].filter((url) => {
+    try {
+      return !/^https?:$/.test(new URL(url).protocol);
+    } catch {
+      return true;
+    }
+  });
+  if (invalid.length) throw new Error(`Invalid URL(s): ${invalid.join(", ")}`);
+
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  return {
+    entries: entries.map(({ url, tags, type, vendor }) => ({
+      url,
+      tags: text(tags),
+      type: text(type),
+      vendor: text(vendor),
+    })),
+    listings,
+    defaults: { tags: text(body.tags), type: text(body.type), vendor: text(body.vendor) },
+  };
+}
+
+/**
+ * In-memory job queue that runs one job at a time.
+ *
+ * @param {(job: object, onProgress: (progress: object) => void) => Promise<{outputDir: string, fileName: string, summary?: object}>} runJob
+ * Runs a job (e.g. through runScrape) and says where its files went.
+ * @returns {{submit: (request: object) => object, get: (id: string) => object|undefined, list: () => object[], idle: () => Promise<void>}}
+ */
+export function createJobQueue(runJob) {
+  const jobs = new Map();
+  const pending = [];
+  let running = null;
+
+  async function runNext() {
+    if (running || !pending.length) return;
+    const job = pending.shift();
+    running = job;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    logger.info(`📥 Starting job ${job.id} (${job.entries.length} URL(s)).`);
+
+    const onProgress = ({ position, total, url, status }) => {
+      job.progress.total = total;
+      if (status === "processing") job.progress.current = { position, url };
+      if (status === "done" || status === "skipped") job.progress.completed++;
+      if (status === "failed") job.progress.failed++;
+    };
+
+    try {
+      const { outputDir, fileName, summary } = await runJob(job, onProgress);
+      job.outputDir = outputDir;
+      job.files = fs
+        .readdirSync(outputDir)
+        .filter((file) => file.startsWith(fileName) && !file.endsWith(".checkpoint.jsonl"))
+        .sort();
+      job.counts = summary?.counts || null;
+      job.status = "done";
+    } catch (err) {
+      logger.error(`❌ Job ${job.id} failed: ${err.message}`);
+      job.status = "failed";
+      job.error = err.message;
+    }
+    job.progress.current = null;
+    job.finishedAt = new Date().toISOString();
+    running = null;
+    runNext();
+  }
+
+  return {
+    submit(request) {
+      const job = {
+        id: crypto.randomUUID().slice(0, 8),
+        status: "queued",
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        ...request,
+        progress: { total: request.entries.length, completed: 0, failed: 0, current: null },
+        counts: null,
+        files: [],
+        outputDir: "",
+        error: "",
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      runNext();
+      return job;
+    },
+    get: (id) => jobs.get(id),
+    list: () => [...jobs.values()].reverse(),
+    /** Resolves once nothing is queued or running (used by tests). */
+    async idle() {
+      while (running || pending.length) await new Promise((resolve) => setTimeout(resolve, 10));
+    },
+  };
+}
+
+/** What the API shows of a job: no internal paths, file download links. */
+function jobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    urls: job.entries.length,
+    listings: job.listings.length,
+    progress: job.progress,
+    counts: job.counts,
+    error: job.error,
+    files: job.files.map((name) => ({
+      name,
+      url: `/api/jobs/${job.id}/files/${encodeURIComponent(name)}`,
+    })),
+  };
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(data));
+}
+
+// Headers go out only once the file is open, so a missing or unreadable file
+// still gets a JSON error instead of a truncated 200.
+function sendFile(res, filePath, headers) {
+  const stream = fs.createReadStream(filePath);
+  stream.on("open", () => {
+    res.writeHead(200, headers);
+    stream.pipe(res);
+  });
+  stream.on("error", (err) => {
+    logger.error(`❌ Could not read ${filePath}: ${err.message}`);
+    if (!res.headersSent) sendJson(res, err.code === "ENOENT" ? 404 : 500, { error: "File not available" });
+    else res.destroy(err);
+  });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8") || "{}"));
+      } catch {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Creates the HTTP server (call `.listen()` on it).
+ *
+ * Routes:
+ * - GET  /                             dashboard (`dashboardPath`)
+ * - GET  /api/jobs                     all jobs, newest first
+ * - POST /api/jobs                     submit `{ urls, listings?, tags?, type?, vendor? }`
+ * - GET  /api/jobs/:id                 status and progress
+ * - GET  /api/jobs/:id/files/:name     download an output file
+ *
+ * @param {{queue: ReturnType<typeof createJobQueue>, dashboardPath: string}} options
+ * @returns {http.Server}
+ */
+export function createJobServer({ queue, dashboardPath }) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    try {
+      let parts;
+      try {
+        parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+      } catch {
+        sendJson(res, 400, { error: "Malformed URL" });
+        return;
+      }
+
+      if (req.method === "GET" && pathname === "/") {
+        sendFile(res, dashboardPath, { "Content-Type": CONTENT_TYPES[".html"] });
+        return;
+      }
+
+      if (parts[0] !== "api" || parts[1] !== "jobs") {
+        sendJson(res, 404, { error: "Not found" });
+        return;
+      }
+
+      if (parts.length === 2) {
+        if (req.method === "GET") {
+          sendJson(res, 200, queue.list().map(jobView));
+        } else if (req.method === "POST") {
+          let request;
+          try {
+            request = parseJobRequest(await readJsonBody(req));
+          } catch (err) {
+            sendJson(res, 400, { error: err.message });
+            return;
+          }
+          sendJson(res, 202, jobView(queue.submit(request)));
+        } else {
+          sendJson(res, 405, { error: "Method not allowed" });
+        }
+        return;
+      }
+
+      const job = queue.get(parts[2]);
+      if (!job || req.method !== "GET") {
+        sendJson(res, job ? 405 : 404, { error: job ? "Method not allowed" : "No such job" });
+        return;
+      }
+
+      if (parts.length === 3) {
+        sendJson(res, 200, jobView(job));
+        return;
+      }
+
+      // Only files the job listed can be downloaded, so no path escapes its
+      // output directory.
+      if (parts.length === 5 && parts[3] === "files" && job.files.includes(parts[4])) {
+        sendFile(res, path.join(job.outputDir, parts[4]), {
+          "Content-Type": CONTENT_TYPES[path.extname(parts[4])] || "application/octet-stream",
+          "Content-Disposition": `attachment; filename="${parts[4]}"`,
+        });
+        return;
+      }
+      sendJson(res, 404, { error: "No such file" });
+    } catch (err) {
+      logger.error(`❌ ${req.method} ${pathname} failed: ${err.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: err.message });
+      else res.end();
+    }
+  });
+}
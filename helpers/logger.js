@@ -0,0 +1,92 @@
+// helpers/logger.js
+//
+// Leveled logger used instead of bare console calls. Every entry is printed
+// to the console as before and, once a log file is configured, appended to
+// it as one JSON line with a timestamp, the level and the context of the
+// URL being processed (set with withLogContext, so helpers don't have to
+// pass the URL around).
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { format } from "util";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const CONSOLE_METHODS = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+const contextStorage = new AsyncLocalStorage();
+const sinks = [];
+let minLevel = "info";
+let logFilePath = "";
+
+/**
+ * @param {{level?: string, filePath?: string}} options - `filePath` receives
+ * the JSON lines; its directory is created if needed.
+ */
+export function configureLogger({ level = minLevel, filePath = logFilePath } = {}) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (use ${LOG_LEVELS.join(", ")})`);
+  }
+  minLevel = level;
+  logFilePath = filePath;
+  if (logFilePath) fs.mkdirSync(path.dirname(logFilePath), { recursive: true });
+}
+
+/**
+ * Registers a function called with every entry (whatever the level), e.g.
+ * to collect warnings for the run summary.
+ * @param {(entry: object) => void} sink
+ * @returns {() => void} Unregisters the sink.
+ */
+export function addLogSink(sink) {
+  sinks.push(sink);
+  return () => {
+    const index = sinks.indexOf(sink);
+    if (index !== -1) sinks.splice(index, 1);
+  };
+}
+
+/**
+ * Runs `fn` with `fields` (e.g. `{ url }`) attached to every entry logged
+ * inside it, including from nested async calls.
+ * @template T
+ * @param {object} fields
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+function write(level, args) {
+  // A trailing plain object holds structured fields, e.g. { field: "price" }.
+  const fields = args.length > 1 && isPlainObject(args[args.length - 1]) ? args.pop() : {};
+  const message = format(...args);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...contextStorage.getStore(),
+    ...fields,
+  };
+
+  for (const sink of sinks) sink(entry);
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel)) return;
+
+  console[CONSOLE_METHODS[level]](message);
+  if (logFilePath) fs.appendFileSync(logFilePath, JSON.stringify(entry) + "\n", "utf-8");
+}
+
+/**
+ * `logger.info("✅ Saved", { file })`: the arguments are formatted like
+ * console.log, except that a trailing plain object becomes JSON fields.
+ */
+export const logger = {
+  debug: (...args) => write("debug", args),
+  info: (...args) => write("info", args),
+  warn: (...args) => write("warn", args),
+  error: (...args) => write("error", args),
+};
@@ -0,0 +1,71 @@
+// helpers/pool.js
+
+/**
+ * Runs `worker` over every item with at most `concurrency` calls in flight.
+ * Each worker slot gets its own resource (e.g. a Playwright page) from
+ * `createResource`, so slots never share a page. A slot whose resource
+ * can't be created drops out and the other slots take its items; only when
+ * no slot starts are the remaining items failed with that error.
+ *
+ * @template T, R, S
+ * @param {T[]} items - Items to process.
+ * @param {(item: T, index: number, resource: S) => Promise<R>} worker
+ * @param {{concurrency?: number, createResource?: (slot: number) => Promise<S>}} [options]
+ * @returns {Promise<Array<{status: "fulfilled", value: R}|{status: "rejected", reason: Error}>>}
+ * One settled result per item, in the same order as `items`.
+ */
+export async function runWithPool(items, worker, { concurrency = 1, createResource } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const slotCount = Math.max(1, Math.min(concurrency, items.length));
+  let resourceError = null;
+
+  async function runSlot(slot) {
+    let resource;
+    if (createResource) {
+      try {
+        resource = await createResource(slot);
+      } catch (err) {
+        resourceError = err;
+        return;
+      }
+    }
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = {
+          status: "fulfilled",
+          value: await worker(items[index], index, resource),
+        };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: slotCount }, (_, slot) => runSlot(slot)));
+  for (let index = nextIndex; index < items.length; index++) {
+    results[index] = { status: "rejected", reason: resourceError };
+  }
+  return results;
+}
+
+/**
+ * Creates a limiter that spaces calls at least `minDelayMs` apart across all
+ * workers, with up to `jitterMs` of random extra delay.
+ * @param {number} minDelayMs
+ * @param {number} [jitterMs]
+ * @returns {() => Promise<void>} Call and await before each request.
+ */
+export function createRateLimiter(minDelayMs, jitterMs = 0) {
+  let nextSlot = 0;
+
+  return async function waitForTurn() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlot);
+    nextSlot = startAt + minDelayMs + Math.floor(Math.random() * (jitterMs + 1));
+    if (startAt > now) {
+      await new Promise((resolve) => setTimeout(resolve, startAt - now));
+    }
+  };
+}
@@ -0,0 +1,176 @@
+// helpers/pricing.js
+import fs from "fs";
+import { VARIANT_PRICE_RATE } from "./constants.js";
+import { logger } from "./logger.js";
+
+/**
+ * Rules that reproduce the original fixed behaviour: variant price is the
+ * regular price times VARIANT_PRICE_RATE, compare-at equals cost.
+ */
+export const DEFAULT_PRICING_RULES = {
+  basePrice: "regular",
+  markup: VARIANT_PRICE_RATE,
+  addOn: 0,
+  rounding: null,
+  compareAt: { strategy: "cost" },
+  margin: null,
+  rules: [],
+};
+
+let activeRules = DEFAULT_PRICING_RULES;
+
+/**
+ * Loads a pricing rules JSON file and makes it the active rule set.
+ * Missing top-level keys fall back to {@link DEFAULT_PRICING_RULES}.
+ * @param {string} rulesPath
+ * @returns {object} The merged rule set.
+ */
+export function loadPricingRules(rulesPath) {
+  const fileRules = JSON.parse(fs.readFileSync(rulesPath, "utf-8"));
+  setPricingRules(fileRules);
+  logger.info(`💲 Loaded pricing rules from ${rulesPath} (${activeRules.rules.length} rule(s)).`);
+  return activeRules;
+}
+
+/**
+ * Makes `rules` the active rule set after checking its markups and margins.
+ * Throws on the first invalid value, naming where it is.
+ * @param {object} rules
+ */
+export function setPricingRules(rules) {
+  const merged = { ...DEFAULT_PRICING_RULES, ...rules };
+  validateRuleValues(merged, "pricing rules");
+  (merged.rules || []).forEach((rule, i) => validateRuleValues(rule, `pricing rule ${i + 1}`));
+  activeRules = merged;
+}
+
+export function getPricingRules() {
+  return activeRules;
+}
+
+function validateRuleValues({ markup, addOn, margin, compareAt }, where) {
+  const numbers = { markup, addOn, "compareAt.markup": compareAt?.markup };
+  for (const [name, value] of Object.entries(numbers)) {
+    if (value !== undefined && !Number.isFinite(value)) {
+      throw new Error(`${where}: ${name} must be a number, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (!margin) return;
+  const { min, max } = margin;
+  for (const [name, value] of [["min", min], ["max", max]]) {
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0 && value < 1)) {
+      throw new Error(
+        `${where}: margin.${name} must be at least 0 and below 1, got ${JSON.stringify(value)}`
+      );
+    }
+  }
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new Error(`${where}: margin.min (${min}) is above margin.max (${max})`);
+  }
+}
+
+/**
+ * Finds the first rule whose `match` block fits the product. A rule without
+ * `match` matches everything.
+ * @param {object[]} rules
+ * @param {{brand?: string, categories?: string, basePrice: number}} product
+ */
+function findRule(rules, { brand = "", categories = "", basePrice }) {
+  const lowerCategories = categories.toLowerCase();
+  return rules.find(({ match = {} }) => {
+    if (match.brand && match.brand.toLowerCase() !== brand.toLowerCase()) return false;
+    if (match.category && !lowerCategories.includes(match.category.toLowerCase())) return false;
+    if (match.minPrice !== undefined && basePrice < match.minPrice) return false;
+    if (match.maxPrice !== undefined && basePrice >= match.maxPrice) return false;
+    return true;
+  });
+}
+
+/**
+ * Rounds up to the next price with the given cents ending, e.g. 0.99 turns
+ * 131.75 into 131.99 and 132.00 into 132.99.
+ */
+function roundToEnding(price, ending) {
+  let rounded = Math.floor(price) + ending;
+  if (rounded < price - 0.000001) rounded += 1;
+  return rounded;
+}
+
+/**
+ * Rounds down to the previous price with the given cents ending, e.g. 0.99
+ * turns 132.50 into 131.99.
+ */
+function roundDownToEnding(price, ending) {
+  let rounded = Math.floor(price) + ending;
+  if (rounded > price + 0.000001) rounded -= 1;
+  return rounded;
+}
+
+/**
+ * Keeps the margin ((price - cost) / price) of the already rounded price
+ * inside [min, max]. A corrected price keeps the cents ending, rounded
+ * towards the inside of the range; the minimum wins when both can't hold.
+ */
+function applyMarginGuards(price, cost, margin, ending) {
+  if (!margin || cost <= 0) return price;
+  const marginOf = (p) => (p - cost) / p;
+  if (margin.max !== undefined && marginOf(price) > margin.max) {
+    price = cost / (1 - margin.max);
+    const roundedDown = ending === undefined ? price : roundDownToEnding(price, ending);
+    if (roundedDown > cost) price = roundedDown;
+  }
+  if (margin.min !== undefined && marginOf(price) < margin.min) {
+    price = cost / (1 - margin.min);
+    if (ending !== undefined) price = roundToEnding(price, ending);
+  }
+  return price;
+}
+
+function computeCompareAt(strategy, { cost, price, regularPrice }) {
+  switch (strategy.strategy) {
+    case "none":
+      return "";
+    case "regular":
+      return regularPrice > price ? regularPrice : "";
+    case "markup":
+      return price * (strategy.markup || 1);
+    case "cost":
+    default:
+      return cost;
+  }
+}
+
+/**
+ * Applies the active pricing rules to a scraped sale/regular price pair.
+ * @param {{salePrice: number, regularPrice: number}} prices - Parsed prices;
+ * either may be NaN when the page did not show it.
+ * @param {{brand?: string, categories?: string}} [product]
+ * @returns {{cost: number, price: number, compareAt: number|""}|null}
+ * null when there is no usable base price.
+ */
+export function applyPricingRules({ salePrice, regularPrice }, product = {}) {
+  const sale = isNaN(salePrice) ? regularPrice : salePrice;
+  const regular = isNaN(regularPrice) ? salePrice : regularPrice;
+  const cost = activeRules.basePrice === "sale" ? sale : regular;
+  if (isNaN(cost)) return null;
+
+  const rule = findRule(activeRules.rules, { ...product, basePrice: cost }) || {};
+  const markup = rule.markup ?? activeRules.markup;
+  const addOn = rule.addOn ?? activeRules.addOn;
+  const rounding = rule.rounding !== undefined ? rule.rounding : activeRules.rounding;
+  const margin = rule.margin || activeRules.margin;
+
+  const ending = rounding?.ending;
+  let price = cost * markup + addOn;
+  if (ending !== undefined) {
+    price = roundToEnding(price, ending);
+  }
+  price = applyMarginGuards(price, cost, margin, ending);
+
+  const compareAt = computeCompareAt(rule.compareAt || activeRules.compareAt, {
+    cost,
+    price,
+    regularPrice: regular,
+  });
+  return { cost, price, compareAt };
+}
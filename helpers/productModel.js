@@ -0,0 +1,112 @@
+// helpers/productModel.js
+//
+// Platform-neutral view of a scraped product. Retailer adapters return it;
+// every output (the Shopify CSV included, see exporters/shopifyCsv.js) is
+// built from it, so a new sales channel never has to know Shopify columns.
+
+/**
+ * @typedef {object} ProductVariant
+ * @property {string} sku
+ * @property {string} sourceSku - The retailer's own SKU; may be blank.
+ * @property {string} barcode
+ * @property {Object<string, string>} options - Option name → value, e.g. { Color: "Red" }.
+ * @property {string} price - Selling price.
+ * @property {string} compareAtPrice - "Was" price; may be blank.
+ * @property {string} cost
+ * @property {string} sourceCurrency - Currency shown on the retailer page.
+ * @property {string} sourcePrice - Selling price shown on the retailer page,
+ * before conversion and pricing rules.
+ * @property {"in_stock"|"out_of_stock"} availability
+ * @property {number|null} inventoryQty
+ * @property {string} image - URL of the variant's image.
+ */
+
+/**
+ * @typedef {object} Product
+ * @property {string} id - Retailer product ID (falls back to the handle).
+ * @property {string} handle
+ * @property {string} title
+ * @property {string} descriptionHtml
+ * @property {string} vendor
+ * @property {string} type
+ * @property {string[]} tags
+ * @property {Object<string, string>} attributes - Attribute key → value,
+ * e.g. { material: "Leather", heel_height: "3.5 in" }.
+ * @property {string} url - Retailer product page.
+ * @property {string} currency - Currency of the prices: the store currency
+ * when converting, otherwise the one shown on the retailer page.
+ * @property {Array<{name: string, values: string[]}>} options
+ * @property {ProductVariant[]} variants
+ * @property {Array<{src: string, alt: string, position: number}>} images
+ */
+
+const text = (value) => (value === undefined || value === null ? "" : String(value));
+
+/**
+ * The option list of a product: every option name its variants use, in
+ * first-seen order, with its values in variant order.
+ * @param {ProductVariant[]} variants
+ * @returns {Array<{name: string, values: string[]}>}
+ */
+export function optionsFromVariants(variants) {
+  const valuesByName = new Map();
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.options)) {
+      if (!valuesByName.has(name)) valuesByName.set(name, []);
+      const values = valuesByName.get(name);
+      if (value && !values.includes(value)) values.push(value);
+    }
+  }
+  return [...valuesByName].map(([name, values]) => ({ name, values }));
+}
+
+/**
+ * Splits a flat list of CSV rows into one list per Handle, keeping order.
+ * @param {object[]} rows
+ * @returns {object[][]}
+ */
+export function groupRowsByHandle(rows) {
+  const byHandle = new Map();
+  for (const row of rows) {
+    if (!byHandle.has(row.Handle)) byHandle.set(row.Handle, []);
+    byHandle.get(row.Handle).push(row);
+  }
+  return [...byHandle.values()];
+}
+
+/**
+ * Regular and sale price the way most channels want them: the sale price is
+ * only set when the compare-at price is higher than the selling price.
+ * @param {ProductVariant} variant
+ * @returns {{regularPrice: string, salePrice: string}}
+ */
+export function regularAndSalePrice(variant) {
+  const price = parseFloat(variant.price);
+  const compareAt = parseFloat(variant.compareAtPrice);
+  if (compareAt > price) {
+    return { regularPrice: variant.compareAtPrice, salePrice: variant.price };
+  }
+  return { regularPrice: variant.price, salePrice: "" };
+}
+
+/**
+ * Strips markup from a product description for channels that only take plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToPlainText(html) {
+  return text(html)
+    .replace(/<\/(p|li|h\d|div)>/gi, "\n")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
@@ -0,0 +1,84 @@
+// helpers/retailers/index.js
+//
+// Registry of retailer adapters. Each adapter owns everything that depends on
+// one site's markup (navigation readiness, selectors, variant walking,
+// description extraction, listing crawl); pricing, SKUs, inventory columns,
+// output files and retries are shared and work the same for every adapter.
+import { extractSKU } from "../formatters.js";
+import { macys } from "./macys/index.js";
+
+/**
+ * @typedef {object} RetailerAdapter
+ * @property {string} id - Short name, e.g. "macys".
+ * @property {string} name - Display name; also the Vendor of products without a brand.
+ * @property {string[]} hostnames - Sites handled; "macys.com" also matches "www.macys.com".
+ * @property {string} filePrefix - Output file prefix for runs that only use this retailer.
+ * @property {{PRODUCT: object, BREADCRUMBS: object, LISTING?: object}} selectors -
+ * Fields as single selectors or fallback lists (see helpers/selectors.js).
+ * PRODUCT keys follow REQUIRED_SELECTOR_FIELDS so --check-selectors works.
+ * @property {Array<string|string[]>} readySelectors - Any of these showing up
+ * means a product page has loaded.
+ * @property {string} sampleProductUrl - Page loaded by --check-selectors.
+ * @property {(url: string) => string} productId - Retailer product ID from a URL ("" if none).
+ * @property {(page: import('playwright').Page, url: string, extraTags: string, overrides?: {type?: string, vendor?: string}) => Promise<import('../productModel.js').Product>} extractProduct -
+ * Loads a product page and reads it into the product model.
+ * @property {(page: import('playwright').Page, listingUrl: string, options?: {maxPages?: number}) => Promise<{productUrls: string[], listingTags: string[]}>} [discoverProductUrls] -
+ * Crawls a category/search listing; optional.
+ * @property {(page: import('playwright').Page, url: string, options: {maxReviews: number, maxQuestions: number}) => Promise<import('../reviews.js').ProductReviews>} [extractReviews] -
+ * Reads the rating summary, recent reviews and customer questions of the
+ * product page that extractProduct left loaded; optional, used with --reviews.
+ */
+
+/** @type {RetailerAdapter[]} */
+export const RETAILERS = [macys];
+
+export const DEFAULT_RETAILER = macys;
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Picks the adapter whose hostnames match the URL.
+ * @param {string} url
+ * @returns {RetailerAdapter|null}
+ */
+export function getRetailerForUrl(url) {
+  const hostname = hostnameOf(url);
+  if (!hostname) return null;
+  return (
+    RETAILERS.find((retailer) =>
+      retailer.hostnames.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    ) || null
+  );
+}
+
+/**
+ * Product ID of a URL through its adapter, falling back to the generic
+ * "ID=123" / "-123.html" patterns for unknown sites.
+ * @param {string} url
+ * @returns {string}
+ */
+export function productIdFromUrl(url) {
+  return getRetailerForUrl(url)?.productId(url) || extractSKU(url);
+}
+
+/**
+ * Output file prefix for a run: the retailer's own prefix when every URL
+ * belongs to the same retailer, otherwise a neutral one.
+ * @param {string[]} urls
+ * @returns {string}
+ */
+export function filePrefixForUrls(urls) {
+  const ids = new Set(urls.map((url) => getRetailerForUrl(url)?.id || ""));
+  if (ids.size === 1) {
+    const [id] = ids;
+    const retailer = RETAILERS.find((r) => r.id === id);
+    if (retailer) return retailer.filePrefix;
+  }
+  return "products";
+}
@@ -0,0 +1,89 @@
+// helpers/retailers/macys/constants.js
+
+// Each logical field is either one selector or an ordered list of fallbacks;
+// see helpers/selectors.js for how the lists are resolved.
+export const SELECTORS = {
+  PRODUCT: {
+    TITLE_BRAND: ["h1.product-title a", '[data-auto="product-brand"]'],
+    TITLE_NAME: ["h1.product-title span", '[data-auto="product-name"]', "h1.product-title"],
+    MAIN_IMAGE: ['div.picture-container picture img', '[data-testid="image-gallery"] img'],
+    GALLERY_IMAGES: ['[data-testid="image-gallery"] img', 'ul.image-grid picture img', 'div.picture-container picture img'],
+    ORIGINAL_OR_STRIKE_PRICE: ['.body-regular.price-strike', '.price-strike', '[data-auto="original-price"]'],
+    CURRENT_PRICE: ['.lowest-sale-price', '.price-red', '[data-auto="main-price"]'],
+    PRICE_WRAPPER: ['[data-auto="price"]', '.price-wrapper', 'div.pricing'],
+    DESCRIPTION_BUTTON: ['button.switch.link-med', '[data-auto="product-details-button"]'],
+    DESCRIPTION_CONTENT_CONTAINER: ['div#details-drawer', '[data-auto="details-drawer"]'],
+    DESCRIPTION_MAIN_PARAGRAPH: ['[data-auto="product-long-description-section"]', 'div#details-drawer .long-description'],
+    DESCRIPTION_LIST_ITEMS: ['div#details-drawer ul > li.column', 'ul > li.column'],
+    FEATURES_SECTION: ['[data-auto="product-summary-section"]'],
+    SHIPPING_RETURNS_SECTION: ['[data-auto="shipping-returns-section"]'],
+    SIZE_CHART_BUTTON: ['[data-auto="size-chart-link"]', 'button.size-chart-link', 'a.size-chart'],
+    SIZE_CHART_CONTENT: ['[data-auto="size-chart-drawer"]', 'div#size-chart-drawer', '.size-chart-content'],
+    SIZE_CHART_CLOSE: ['[data-auto="size-chart-drawer"] button[aria-label="Close"]', 'div#size-chart-drawer button.close', '.size-chart-content .close-button'],
+    COLOR_OPTION_NAME: 'span.updated-label.label',
+    COLOR_RADIO_LABELS: ['label.color-swatch-item[data-testid="color-swatch-label"]', '.color-swatches .color-swatch-item'],
+    SELECTED_COLOR_VALUE_DISPLAY: ['span[data-testid="selected-color-name"]'],
+    SIZE_OPTION_NAME: 'span.updated-label.label',
+    SIZE_RADIO_LABELS: ['label.size-tile.selection-tile', '[data-testid="size-tile"]'],
+    LOW_STOCK_MESSAGE: ['[data-testid="low-inventory-message"]', '.low-inventory', '.limited-stock'],
+    UNAVAILABLE_MESSAGE: ['[data-testid="out-of-stock-message"]', '.out-of-stock', '.unavailable-message'],
+    SELECTED_SIZE_VALUE_DISPLAY: ['span[data-auto="size-picker-selected-value"]', 'span.label.updated-label.margin-left-xxxs'],
+  },
+  REVIEWS: {
+    SECTION: ['[data-auto="reviews-section"]', 'div#reviews', 'section.reviews'],
+    AVERAGE_RATING: ['[data-auto="average-rating"]', '.review-summary .rating-value', '[itemprop="ratingValue"]'],
+    REVIEW_COUNT: ['[data-auto="review-count"]', '.review-summary .review-count', '[itemprop="reviewCount"]'],
+    SORT: ['select[data-auto="reviews-sort"]', 'select.reviews-sort'],
+    ITEMS: ['[data-auto="review-item"]', 'li.review-item', '.reviews-list > li'],
+    ITEM_RATING: ['[data-auto="review-rating"]', '.review-rating', '[aria-label*="out of 5"]'],
+    ITEM_TITLE: ['[data-auto="review-title"]', '.review-title'],
+    ITEM_BODY: ['[data-auto="review-text"]', '.review-text', '.review-body'],
+    ITEM_DATE: ['[data-auto="review-date"]', '.review-date', 'time'],
+    ITEM_VERIFIED: ['[data-auto="verified-purchaser"]', '.verified-purchaser', '.verified-buyer'],
+    NEXT_PAGE: ['[data-auto="reviews-next-page"]:not([disabled])', 'button.reviews-next:not([disabled])', 'a[aria-label="Next reviews page"]'],
+  },
+  QUESTIONS: {
+    SECTION: ['[data-auto="questions-section"]', 'div#questions', 'section.questions-answers'],
+    ITEMS: ['[data-auto="question-item"]', 'li.question-item', '.questions-list > li'],
+    ITEM_QUESTION: ['[data-auto="question-text"]', '.question-text', '.question-body'],
+    ITEM_DATE: ['[data-auto="question-date"]', '.question-date', '.question-header time'],
+    ANSWERS: ['[data-auto="answer-item"]', 'li.answer-item', '.answers-list > li'],
+    ANSWER_BODY: ['[data-auto="answer-text"]', '.answer-text', '.answer-body'],
+    ANSWER_DATE: ['[data-auto="answer-date"]', '.answer-date', 'time'],
+    NEXT_PAGE: ['[data-auto="questions-next-page"]:not([disabled])', 'button.questions-next:not([disabled])', 'a[aria-label="Next questions page"]'],
+  },
+  BREADCRUMBS: {
+    LINKS: 'ol.p-breadcrumb-list > li.p-menuitem > a',
+  },
+  LISTING: {
+    PRODUCT_LINKS: 'a[href*="/shop/product/"][href*="ID="]',
+    NEXT_PAGE: 'a[aria-label="Next page"], a[aria-label="next page"], li.next-page a, a.next-page',
+    BREADCRUMB_LINKS: 'nav[aria-label="breadcrumbs"] a, ol.p-breadcrumb-list > li.p-menuitem > a',
+    HEADING: 'h1',
+  },
+};
+
+// Any of these showing up means a product page has loaded.
+export const READY_SELECTORS = [
+  SELECTORS.PRODUCT.TITLE_BRAND,
+  SELECTORS.PRODUCT.PRICE_WRAPPER,
+  SELECTORS.PRODUCT.MAIN_IMAGE,
+];
+
+// Hosts that serve real product photos. Anything else (site chrome, flags,
+// badges) is rejected when collecting gallery images.
+export const PRODUCT_IMAGE_HOSTS = [
+  "slimages.macysassets.com",
+  "slim.mscdn.com",
+  "images.mscdn.com",
+];
+
+// Links to these hosts are stripped from descriptions together with their text.
+export const RETAILER_LINK_HOSTS = ["macys.com", "customerservice-macys.com"];
+
+// Base URL of the `filePath` images in Macy's embedded product state.
+export const MACYS_IMAGE_BASE = "https://slimages.macysassets.com/is/image/MCY/products/";
+
+// Product page loaded by --check-selectors when no URL is given.
+export const SAMPLE_PRODUCT_URL =
+  "https://www.macys.com/shop/product/jessica-simpson-olivine-bow-high-heel-stiletto-dress-sandals?ID=19766033";
@@ -0,0 +1,143 @@
+import { RETAILER_LINK_HOSTS, SELECTORS } from "./constants.js";
+import { sanitizeDescriptionHtml } from "../../sanitizeDescription.js";
+import { anySelector, queryAll, queryFirst } from "../../selectors.js";
+import { logger } from "../../logger.js";
+
+export async function extractFullDescription(page) {
+  let fullDescriptionHtml = "";
+  try {
+    // --- Step 1: Click the description/details button if it exists ---
+    // Wait for the new button selector
+    const descriptionButton = await page.locator(anySelector(SELECTORS.PRODUCT.DESCRIPTION_BUTTON)).first(); // Use locator and .first()
+    if (descriptionButton && await descriptionButton.isVisible()) {
+      logger.debug("Clicking description/details button...");
+      await descriptionButton.click();
+      await page.waitForTimeout(1000); // Give time for content to expand/load
+    } else {
+        logger.debug("Description button not found or not visible, proceeding without click.");
+    }
+
+    // --- Step 2: Extract the main product description paragraph ---
+    try {
+      // Wait for the main content container to be visible
+      await page.waitForSelector(anySelector(SELECTORS.PRODUCT.DESCRIPTION_CONTENT_CONTAINER), { state: 'visible', timeout: 5000 });
+      const mainDescriptionEl = await queryFirst(page, SELECTORS.PRODUCT.DESCRIPTION_MAIN_PARAGRAPH);
+      if (mainDescriptionEl) {
+        fullDescriptionHtml += await mainDescriptionEl.evaluate(el => el.outerHTML);
+        logger.debug("Extracted main description paragraph.");
+      } else {
+        logger.warn("⚠️ Main description paragraph not found within container.", { field: "description" });
+      }
+    } catch (error) {
+      logger.warn("⚠️ Could not extract main description content:", error.message, { field: "description" });
+    }
+
+    // --- Step 3: Extract ul > li.column elements, excluding the last child ---
+    try {
+      const listItems = await queryAll(page, SELECTORS.PRODUCT.DESCRIPTION_LIST_ITEMS);
+      if (listItems.length > 0) {
+        // Exclude the last child
+        const itemsToExtract = listItems.slice(0, listItems.length - 1);
+        let listHtml = '<ul>';
+        for (const item of itemsToExtract) {
+          listHtml += await item.evaluate(el => el.outerHTML);
+        }
+        listHtml += '</ul>';
+        fullDescriptionHtml += listHtml;
+        logger.debug(`Extracted ${itemsToExtract.length} list items (excluding the last one).`);
+      } else {
+        logger.debug("No specific list items (ul > li.column) found for description.");
+      }
+    } catch (error) {
+      logger.warn("⚠️ Could not extract list items:", error.message, { field: "description" });
+    }
+
+    // --- Step 4: Extract Features section (if still relevant) ---
+    try {
+      const featuresSection = await queryFirst(page, SELECTORS.PRODUCT.FEATURES_SECTION);
+      if (featuresSection && await featuresSection.isVisible()) {
+        const featuresHtml = await featuresSection.evaluate(el => el.outerHTML);
+        fullDescriptionHtml += featuresHtml;
+        logger.debug("Extracted features section.");
+      } else {
+        logger.debug("Features section not found or not visible.");
+      }
+    } catch (error) {
+      logger.warn("⚠️ Could not extract features section:", error.message, { field: "description" });
+    }
+
+    // --- Step 5: Extract Shipping & Returns section (if still relevant) ---
+    try {
+      const shippingReturnsSection = await queryFirst(page, SELECTORS.PRODUCT.SHIPPING_RETURNS_SECTION);
+      if (shippingReturnsSection && await shippingReturnsSection.isVisible()) {
+        const shippingReturnsHtml = await shippingReturnsSection.evaluate(el => el.outerHTML);
+        fullDescriptionHtml += shippingReturnsHtml;
+        logger.debug("Extracted shipping & returns section.");
+      } else {
+        logger.debug("Shipping & Returns section not found or not visible.");
+      }
+    } catch (error) {
+      logger.warn("⚠️ Could not extract shipping & returns section:", error.message, { field: "description" });
+    }
+
+  } catch (error) {
+    logger.error("❌ Error in extractFullDescription:", error.message, { field: "description" });
+  }
+  return sanitizeDescriptionHtml(fullDescriptionHtml.trim(), undefined, RETAILER_LINK_HOSTS);
+}
+
+/**
+ * Opens the size-chart drawer and returns its text, one line per table row
+ * or paragraph, for attribute parsing (fit notes, heel height). Returns []
+ * when the product has no size chart.
+ * @returns {Promise<string[]>}
+ */
+export async function extractSizeChartLines(page) {
+  try {
+    const button = await queryFirst(page, SELECTORS.PRODUCT.SIZE_CHART_BUTTON);
+    if (!button || !(await button.isVisible())) {
+      logger.debug("No size chart on this page.");
+      return [];
+    }
+    await button.click();
+    await page.waitForSelector(anySelector(SELECTORS.PRODUCT.SIZE_CHART_CONTENT), { state: 'visible', timeout: 5000 });
+    let lines;
+    try {
+      const drawer = await queryFirst(page, SELECTORS.PRODUCT.SIZE_CHART_CONTENT);
+      lines = await drawer.evaluate(el =>
+        [...el.querySelectorAll("tr, p, li, h2, h3")].map(node =>
+          node.matches("tr")
+            ? [...node.children].map(cell => cell.textContent.trim()).join(" | ")
+            : node.textContent.replace(/\s+/g, " ").trim()
+        ).filter(Boolean)
+      );
+    } finally {
+      await closeSizeChart(page);
+    }
+    logger.debug(`Read ${lines.length} size chart line(s).`);
+    return lines;
+  } catch (error) {
+    logger.warn("⚠️ Could not read the size chart:", error.message, { field: "attributes" });
+    return [];
+  }
+}
+
+/**
+ * Closes the size-chart drawer so it can't cover the swatches or the
+ * gallery: Escape first, the drawer's close button if it is still open.
+ * Throws when the drawer stays open.
+ */
+async function closeSizeChart(page) {
+  const content = anySelector(SELECTORS.PRODUCT.SIZE_CHART_CONTENT);
+  await page.keyboard.press("Escape");
+  const closed = await page
+    .waitForSelector(content, { state: "hidden", timeout: 2000 })
+    .then(() => true, () => false);
+  if (closed) return;
+
+  const closeButton = await queryFirst(page, SELECTORS.PRODUCT.SIZE_CHART_CLOSE);
+  if (closeButton) await closeButton.click().catch(() => {});
+  await page.waitForSelector(content, { state: "hidden", timeout: 3000 }).catch(() => {
+    throw new Error("Size chart drawer did not close");
+  });
+}
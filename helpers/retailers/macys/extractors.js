@@ -0,0 +1,458 @@
+import {
+  calculatePrices,
+  extractSKU,
+  formatHandleFromUrl,
+} from "../../formatters.js";
+import { gotoWithRetries } from "../../gotoWithRetries.js";
+import {
+  PRODUCT_IMAGE_HOSTS,
+  READY_SELECTORS,
+  RETAILER_LINK_HOSTS,
+  SELECTORS,
+} from "./constants.js";
+import { extractFullDescription, extractSizeChartLines } from "./description.js";
+import { parseMacysState } from "./state.js";
+import { anySelector, evalAll, evalFirst, queryAll } from "../../selectors.js";
+import { sanitizeDescriptionHtml } from "../../sanitizeDescription.js";
+import { extractStructuredProduct } from "../../structuredData.js";
+import { logger } from "../../logger.js";
+import { inferProductType } from "../../taxonomy.js";
+import {
+  applyProductAttributes,
+  featureLinesFromHtml,
+  parseProductAttributes,
+} from "../../attributes.js";
+import { assignVariantSkus } from "../../sku.js";
+import {
+  AVAILABILITY,
+  readSelectedAvailability,
+  readTileAvailability,
+  variantStock,
+} from "../../inventory.js";
+import { optionsFromVariants } from "../../productModel.js";
+import { DEFAULT_CURRENCY, getStoreCurrency } from "../../currency.js";
+import {
+  applyImageGalleries,
+  cleanImageList,
+  extractGalleryImages,
+} from "../../images.js";
+
+async function safeClick(element, page, timeout = 15000) {
+  try {
+    await element.scrollIntoViewIfNeeded();
+    await element.click({ timeout });
+  } catch {
+    await element.evaluate((el) => {
+      el.scrollIntoView({ block: "center", behavior: "instant" });
+      el.click();
+    });
+  }
+  await waitForSwatchSelected(element, page);
+}
+
+/**
+ * Waits for a clicked swatch to show as selected and for the price, stock
+ * and gallery requests it started to settle. Both waits are capped: a page
+ * that never goes fully idle (analytics beacons) only costs the cap.
+ */
+async function waitForSwatchSelected(element, page) {
+  await page
+    .waitForFunction(
+      (el) =>
+        el.matches('[aria-checked="true"], [aria-pressed="true"], .selected, .active') ||
+        !!el.control?.checked ||
+        !!el.querySelector("input:checked"),
+      element,
+      { timeout: 5000 }
+    )
+    .catch(() => {});
+  await page.waitForLoadState("networkidle", { timeout: 3000 }).catch(() => {});
+}
+
+/**
+ * Loads a Macy's product page and reads it into the product model, from the
+ * page's structured data when it has any, otherwise by clicking through the
+ * color and size swatches.
+ * @returns {Promise<import('../../productModel.js').Product>}
+ */
+export async function extractMacyProductData(page, url, extraTags, overrides = {}) {
+  const galleries = [];
+  await gotoWithRetries(page, url, 3, READY_SELECTORS);
+
+  await page.waitForLoadState("domcontentloaded");
+
+  // Structured data gives the whole variant matrix in one page load; the
+  // swatch-clicking DOM path below is only the fallback.
+  const structured = await extractStructuredProduct(page, { stateParsers: [parseMacysState] });
+  if (structured) {
+    logger.info(`🧩 Using structured data: ${structured.variants.length} variant(s).`);
+    return buildProductFromStructuredData(page, structured, {
+      url,
+      extraTags,
+      overrides,
+    });
+  }
+  logger.info("ℹ️ No structured product data found, falling back to DOM extraction.");
+
+  try {
+    await page.waitForSelector(anySelector(SELECTORS.PRODUCT.TITLE_NAME), { timeout: 10000 });
+  } catch {
+    throw new Error("Required field missing: title selector not found on page");
+  }
+
+  const { title, brand } = await extractTitle(page);
+  const descriptionHtml = await extractFullDescription(page);
+  const breadcrumbs = await extractBreadcrumbs(page);
+  const optionNames = await extractOptionNames(page);
+  const product = newProduct(url, {
+    title,
+    descriptionHtml,
+    vendor: overrides.vendor || brand || "Macy's",
+    type: overrides.type || inferProductType(breadcrumbs),
+    tags: productTags(breadcrumbs, extraTags),
+  });
+
+  const pricingContext = { brand, categories: product.tags.join(", ") };
+
+  const initialVariants = await getVariantGroups(page);
+  const colors = initialVariants["Color"] || [];
+  const sizes = initialVariants["Size"] || [];
+
+  // ✅ أولاً مر على اللون الحالي المعروض أول مرة
+  let selectedColorName = "";
+  try {
+    selectedColorName = (await evalFirst(
+      page,
+      SELECTORS.PRODUCT.SELECTED_COLOR_VALUE_DISPLAY,
+      el => el.textContent.trim()
+    )) || "";
+  } catch {}
+
+  if (selectedColorName) {
+    await processColor(selectedColorName, page, product, {
+      sizes,
+      galleries,
+      pricingContext,
+      optionNames,
+      colorAvailability: AVAILABILITY.IN_STOCK
+    });
+  }
+
+  // ✅ ثم مر على باقي الألوان واحد واحد مع السايزات
+  for (const color of colors) {
+    const colorLabel = await color.anchor.evaluate(el =>
+      el.getAttribute('aria-label')?.replace('Color: ', '') ||
+      el.querySelector('img')?.alt || el.textContent.trim()
+    );
+
+    if (colorLabel !== selectedColorName) {
+      const colorAvailability = await readTileAvailability(color.anchor);
+      await safeClick(color.anchor, page);
+      await processColor(colorLabel, page, product, {
+        sizes,
+        galleries,
+        pricingContext,
+        optionNames,
+        colorAvailability
+      });
+    }
+  }
+
+  if (!colors.length && sizes.length) {
+    await processSizeOnly(page, product, { galleries, pricingContext, optionNames });
+  }
+
+  if (!colors.length && !sizes.length) {
+    await processSingleVariant(page, product, { galleries, pricingContext });
+  }
+
+  // The size chart opens a drawer over the swatches, so it is read once the
+  // variant walk is done.
+  const attributes = await extractAttributes(page, descriptionHtml);
+  return finishProduct(product, { galleries, colorOption: optionNames.color, attributes });
+}
+
+async function processColor(colorLabel, page, product, context) {
+  const { sizes, galleries, pricingContext, optionNames, colorAvailability } = context;
+  const gallery = await extractGalleryImages(page, SELECTORS.PRODUCT.GALLERY_IMAGES, PRODUCT_IMAGE_HOSTS);
+  galleries.push({ color: colorLabel, images: gallery });
+
+  if (sizes.length > 0) {
+    const refreshedSizes = await getVariantGroups(page);
+    const updatedSizes = refreshedSizes["Size"] || [];
+
+    for (const size of updatedSizes) {
+      const sizeLabel = await size.anchor.evaluate(el => el.textContent.trim());
+      const tileAvailability = colorAvailability === AVAILABILITY.UNAVAILABLE
+        ? colorAvailability
+        : await readTileAvailability(size.anchor);
+
+      await safeClick(size.anchor, page);
+
+      const availability = await readSelectedAvailability(page, SELECTORS.PRODUCT, tileAvailability);
+      const prices = calculatePrices(await extractDisplayedPrices(page), pricingContext);
+      product.variants.push(newVariant(
+        { [optionNames.color]: colorLabel, [optionNames.size]: sizeLabel },
+        availability,
+        prices
+      ));
+    }
+  } else {
+    const availability = await readSelectedAvailability(page, SELECTORS.PRODUCT, colorAvailability);
+    const prices = calculatePrices(await extractDisplayedPrices(page), pricingContext);
+    product.variants.push(newVariant({ [optionNames.color]: colorLabel }, availability, prices));
+  }
+}
+
+async function processSizeOnly(page, product, context) {
+  const { galleries, pricingContext, optionNames } = context;
+  const gallery = await extractGalleryImages(page, SELECTORS.PRODUCT.GALLERY_IMAGES, PRODUCT_IMAGE_HOSTS);
+  galleries.push({ color: "", images: gallery });
+  const refreshedSizes = await getVariantGroups(page);
+  const updatedSizes = refreshedSizes["Size"] || [];
+
+  for (const size of updatedSizes) {
+    const sizeLabel = await size.anchor.evaluate(el => el.textContent.trim());
+    const tileAvailability = await readTileAvailability(size.anchor);
+
+    await safeClick(size.anchor, page);
+
+    const availability = await readSelectedAvailability(page, SELECTORS.PRODUCT, tileAvailability);
+    const prices = calculatePrices(await extractDisplayedPrices(page), pricingContext);
+    product.variants.push(newVariant({ [optionNames.size]: sizeLabel }, availability, prices));
+  }
+}
+
+async function processSingleVariant(page, product, context) {
+  const { galleries, pricingContext } = context;
+  const gallery = await extractGalleryImages(page, SELECTORS.PRODUCT.GALLERY_IMAGES, PRODUCT_IMAGE_HOSTS);
+  galleries.push({ color: "", images: gallery });
+  const availability = await readSelectedAvailability(page, SELECTORS.PRODUCT);
+  const prices = calculatePrices(await extractDisplayedPrices(page), pricingContext);
+  product.variants.push(newVariant({}, availability, prices));
+}
+
+async function buildProductFromStructuredData(page, structured, context) {
+  const { url, extraTags, overrides } = context;
+
+  let { title, brand } = await extractTitle(page);
+  if (!title) {
+    title = [structured.brand, structured.name].filter(Boolean).join(", ");
+  }
+  const descriptionHtml =
+    (await extractFullDescription(page)) ||
+    sanitizeDescriptionHtml(
+      structured.description ? `<p>${structured.description}</p>` : "",
+      undefined,
+      RETAILER_LINK_HOSTS
+    );
+  const attributes = await extractAttributes(page, descriptionHtml);
+  const breadcrumbs = (await extractBreadcrumbs(page)) || structured.breadcrumbs.join(", ");
+  // Neither JSON-LD nor the embedded state names the option groups, so the
+  // labels come from the swatch headings on the page.
+  const optionNames = await extractOptionNames(page);
+  const product = newProduct(url, {
+    title,
+    descriptionHtml,
+    vendor: overrides.vendor || brand || structured.brand || "Macy's",
+    type: overrides.type || inferProductType(breadcrumbs),
+    tags: productTags(breadcrumbs, extraTags),
+  });
+  const pricingContext = { brand: brand || structured.brand, categories: product.tags.join(", ") };
+
+  const hasColor = structured.variants.some(v => v.color);
+  const hasSize = structured.variants.some(v => v.size);
+
+  for (const variant of structured.variants) {
+    const options = {};
+    if (hasColor) options[optionNames.color] = variant.color;
+    if (hasSize) options[optionNames.size] = variant.size;
+    const prices = calculatePrices(
+      { salePrice: variant.price, regularPrice: variant.regularPrice || variant.price },
+      pricingContext
+    );
+    product.variants.push(newVariant(options, variant.availability, prices, {
+      sourceSku: variant.sku,
+      barcode: variant.upc,
+    }));
+  }
+
+  const colors = [...new Set(structured.variants.map(v => v.color))];
+  let galleries = hasColor
+    ? colors.map(color => ({ color, images: cleanImageList(structured.colorImages[color] || [], PRODUCT_IMAGE_HOSTS) }))
+    : [{ color: "", images: cleanImageList(structured.images, PRODUCT_IMAGE_HOSTS) }];
+  if (!galleries.some(g => g.images.length)) {
+    galleries = [{ color: "", images: await extractGalleryImages(page, SELECTORS.PRODUCT.GALLERY_IMAGES, PRODUCT_IMAGE_HOSTS) }];
+  }
+
+  return finishProduct(product, { galleries, colorOption: optionNames.color, attributes });
+}
+
+/**
+ * An empty product for the page at `url`; the variants, options and images
+ * are filled in while the page is read.
+ * @returns {import('../../productModel.js').Product}
+ */
+function newProduct(url, { title, descriptionHtml, vendor, type, tags }) {
+  const handle = formatHandleFromUrl(url);
+  return {
+    id: extractSKU(url) || handle,
+    handle,
+    title,
+    descriptionHtml,
+    vendor,
+    type,
+    tags,
+    attributes: {},
+    url,
+    currency: "",
+    options: [],
+    variants: [],
+    images: [],
+  };
+}
+
+/**
+ * A variant with its prices (from calculatePrices) and stock; the SKU and
+ * image are set by finishProduct.
+ * @returns {import('../../productModel.js').ProductVariant}
+ */
+function newVariant(options, availability, prices, { sourceSku = "", barcode = "" } = {}) {
+  return {
+    sku: "",
+    sourceSku: sourceSku || "",
+    barcode: barcode || "",
+    options,
+    price: prices.variantPrice,
+    compareAtPrice: prices.compareAtPrice,
+    cost: prices.costPerItem,
+    sourceCurrency: prices.sourceCurrency,
+    sourcePrice: prices.sourcePrice,
+    ...variantStock(availability),
+    image: "",
+  };
+}
+
+// Breadcrumbs plus the input's extra tags, each once.
+function productTags(breadcrumbs, extraTags) {
+  return [...new Set([
+    ...breadcrumbs.split(","),
+    ...(extraTags ? extraTags.split(",") : [])
+  ].map(t => t.trim()))].filter(Boolean);
+}
+
+/**
+ * Adds options, images, SKUs and attributes to a product, then refuses to
+ * return a product that is missing a required field (title, price, image)
+ * so a half-empty product is reported as failed instead of being written out.
+ */
+function finishProduct(product, { galleries, colorOption, attributes }) {
+  product.options = optionsFromVariants(product.variants);
+  product.currency =
+    getStoreCurrency() || product.variants.find(v => v.sourceCurrency)?.sourceCurrency || DEFAULT_CURRENCY;
+  applyImageGalleries(product, galleries, colorOption);
+  assignVariantSkus(product);
+  applyProductAttributes(product, attributes);
+
+  // Checked even without variants: such a product is still checkpointed as done.
+  const missing = [];
+  if (!product.title) missing.push("title");
+  if (product.variants.some(variant => !variant.price)) missing.push("price");
+  if (!product.images.length) missing.push("image");
+  if (missing.length) {
+    throw new Error(`Required field(s) empty: ${missing.join(", ")}`);
+  }
+  return product;
+}
+
+/**
+ * Parses the Features bullets (already in the description) and the size
+ * chart into the attributes of the active mapping.
+ */
+async function extractAttributes(page, descriptionHtml) {
+  return parseProductAttributes([
+    ...featureLinesFromHtml(descriptionHtml),
+    ...(await extractSizeChartLines(page)),
+  ]);
+}
+
+async function extractTitle(page) {
+  const readText = selectors =>
+    evalFirst(page, selectors, el => el.textContent.trim()).catch(() => "");
+  const brand = (await readText(SELECTORS.PRODUCT.TITLE_BRAND)) || "";
+  const name = (await readText(SELECTORS.PRODUCT.TITLE_NAME)) || "";
+  return { title: [brand, name].filter(Boolean).join(", "), brand, name };
+}
+
+async function extractBreadcrumbs(page) {
+  const crumbs = await evalAll(
+    page,
+    SELECTORS.BREADCRUMBS.LINKS,
+    links => links.map(a => a.textContent.trim())
+  ).catch(() => []);
+  return crumbs.filter(c => c && c.toLowerCase() !== "home").join(", ");
+}
+
+/**
+ * Reads the current (sale) price and the struck-through regular price. When
+ * the item is not on sale only one price is shown and both fields get it.
+ * @returns {Promise<{salePrice: string, regularPrice: string}>}
+ */
+async function extractDisplayedPrices(page) {
+  const readText = async selectors =>
+    (await evalFirst(page, selectors, el => el.textContent.trim()).catch(() => "")) || "";
+
+  const regularPrice = await readText(SELECTORS.PRODUCT.ORIGINAL_OR_STRIKE_PRICE);
+  const salePrice =
+    (await readText(SELECTORS.PRODUCT.CURRENT_PRICE)) ||
+    (await readText(SELECTORS.PRODUCT.PRICE_WRAPPER));
+
+  if (!salePrice && !regularPrice) {
+    logger.warn("⚠️ Price not found on page.", { field: "price" });
+  }
+  return {
+    salePrice: salePrice || regularPrice,
+    regularPrice: regularPrice || salePrice,
+  };
+}
+
+async function getVariantGroups(page) {
+  const colorAnchors = await queryAll(page, SELECTORS.PRODUCT.COLOR_RADIO_LABELS);
+  const sizeAnchors = await queryAll(page, SELECTORS.PRODUCT.SIZE_RADIO_LABELS);
+  return {
+    Color: colorAnchors.map(anchor => ({ anchor })),
+    Size: sizeAnchors.map(anchor => ({ anchor })),
+  };
+}
+
+/**
+ * Reads the real option labels ("Width", "Inseam", "Scent", ...) from the
+ * heading of each swatch group, falling back to "Color" and "Size".
+ * @returns {Promise<{color: string, size: string}>}
+ */
+async function extractOptionNames(page) {
+  const readGroupLabel = async (radioSelectors, labelSelectors) =>
+    (await evalFirst(
+      page,
+      radioSelectors,
+      (el, labelSel) => {
+        const group = el.closest('fieldset, [role="radiogroup"], .swatches-container') || el.parentElement;
+        const label =
+          group?.querySelector("legend") ||
+          group?.querySelector(labelSel) ||
+          group?.parentElement?.querySelector(labelSel);
+        return (label?.textContent || "").split(":")[0].trim();
+      },
+      anySelector(labelSelectors)
+    ).catch(() => "")) || "";
+
+  const color = await readGroupLabel(
+    SELECTORS.PRODUCT.COLOR_RADIO_LABELS,
+    SELECTORS.PRODUCT.COLOR_OPTION_NAME
+  );
+  const size = await readGroupLabel(
+    SELECTORS.PRODUCT.SIZE_RADIO_LABELS,
+    SELECTORS.PRODUCT.SIZE_OPTION_NAME
+  );
+  return { color: color || "Color", size: size || "Size" };
+}
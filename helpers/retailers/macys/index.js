@@ -0,0 +1,21 @@
+// helpers/retailers/macys/index.js
+import { extractSKU } from "../../formatters.js";
+import { READY_SELECTORS, SAMPLE_PRODUCT_URL, SELECTORS } from "./constants.js";
+import { extractMacyProductData } from "./extractors.js";
+import { discoverProductUrls } from "./listing.js";
+import { extractMacysReviews } from "./reviews.js";
+
+/** @type {import('../index.js').RetailerAdapter} */
+export const macys = {
+  id: "macys",
+  name: "Macy's",
+  hostnames: ["macys.com"],
+  filePrefix: "Macy_products",
+  selectors: SELECTORS,
+  readySelectors: READY_SELECTORS,
+  sampleProductUrl: SAMPLE_PRODUCT_URL,
+  productId: extractSKU,
+  extractProduct: extractMacyProductData,
+  discoverProductUrls,
+  extractReviews: extractMacysReviews,
+};
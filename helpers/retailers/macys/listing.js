@@ -0,0 +1,83 @@
+// helpers/retailers/macys/listing.js
+import { SELECTORS } from "./constants.js";
+import { extractSKU } from "../../formatters.js";
+import { gotoWithRetries } from "../../gotoWithRetries.js";
+import { logger } from "../../logger.js";
+
+/**
+ * Strips tracking parameters from a product link, keeping only the product ID.
+ * @param {string} href - Absolute product URL.
+ * @returns {string} e.g. "https://www.macys.com/shop/product/some-shoe?ID=123"
+ */
+export function canonicalProductUrl(href) {
+  const urlObj = new URL(href);
+  const id = extractSKU(href);
+  return `${urlObj.origin}${urlObj.pathname}${id ? `?ID=${id}` : ""}`;
+}
+
+/**
+ * Crawls a Macy's category, search or brand listing and collects every
+ * product link on it, following the "next page" link until it runs out.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} listingUrl
+ * @param {{maxPages?: number}} [options]
+ * @returns {Promise<{productUrls: string[], listingTags: string[]}>}
+ * Product URLs de-duplicated by product ID, plus the listing's breadcrumb
+ * trail and heading as candidate tags.
+ * @throws {import('../../blocking.js').BlockedError} On a block page; the
+ * caller rotates the session and crawls the listing again.
+ */
+export async function discoverProductUrls(page, listingUrl, { maxPages = 50 } = {}) {
+  const productUrlsById = new Map();
+  let listingTags = [];
+  let pageUrl = listingUrl;
+  let pageNumber = 0;
+
+  while (pageUrl && pageNumber < maxPages) {
+    pageNumber++;
+    logger.info(`📄 Listing page ${pageNumber}: ${pageUrl}`);
+    await gotoWithRetries(page, pageUrl, 3, [SELECTORS.LISTING.PRODUCT_LINKS]);
+
+    const hrefs = await page.$$eval(SELECTORS.LISTING.PRODUCT_LINKS, (links) =>
+      links.map((a) => a.href)
+    );
+    let added = 0;
+    for (const href of hrefs) {
+      const id = extractSKU(href);
+      if (!id || productUrlsById.has(id)) continue;
+      productUrlsById.set(id, canonicalProductUrl(href));
+      added++;
+    }
+    logger.info(`🔗 Found ${added} new product(s) on page ${pageNumber}.`);
+
+    if (pageNumber === 1) {
+      listingTags = await extractListingTags(page);
+    }
+
+    const nextHref = await page
+      .$eval(SELECTORS.LISTING.NEXT_PAGE, (a) => a.href)
+      .catch(() => "");
+    // Stop when there is no next page, or when it points back to a page we
+    // already saw (some listings keep a disabled "next" link on the last page).
+    pageUrl = nextHref && nextHref !== pageUrl && added > 0 ? nextHref : "";
+  }
+
+  logger.info(`✅ Discovered ${productUrlsById.size} product(s) from ${listingUrl}`);
+  return { productUrls: [...productUrlsById.values()], listingTags };
+}
+
+async function extractListingTags(page) {
+  const crumbs = await page
+    .$$eval(SELECTORS.LISTING.BREADCRUMB_LINKS, (links) =>
+      links.map((a) => a.textContent.trim())
+    )
+    .catch(() => []);
+  const heading = await page
+    .$eval(SELECTORS.LISTING.HEADING, (el) => el.textContent.trim())
+    .catch(() => "");
+
+  return [...new Set([...crumbs, heading])].filter(
+    (tag) => tag && tag.toLowerCase() !== "home"
+  );
+}
@@ -0,0 +1,187 @@
+// helpers/retailers/macys/reviews.js
+import { SELECTORS } from "./constants.js";
+import { readStructuredData } from "../../structuredData.js";
+import { anySelector, evalAll, evalFirst, queryFirst } from "../../selectors.js";
+import {
+  mostRecentQuestions,
+  mostRecentReviews,
+  normalizeQuestion,
+  normalizeReview,
+  parseRating,
+  parseReviewCount,
+  reviewsFromJsonLd,
+} from "../../reviews.js";
+import { logger } from "../../logger.js";
+
+// Stop paging after this many pages even if fewer items were collected.
+const MAX_REVIEW_PAGES = 20;
+
+/**
+ * Reads the rating summary, the most recent reviews and the customer
+ * questions of the loaded product page. The review list is sorted newest
+ * first when the page allows it and followed page by page until
+ * `maxReviews` are collected, the Q&A list until `maxQuestions`; JSON-LD
+ * fills in whatever the review widget doesn't show.
+ *
+ * @param {import('playwright').Page} page - Product page, already loaded.
+ * @param {string} url
+ * @param {{maxReviews?: number, maxQuestions?: number}} [options]
+ * @returns {Promise<import('../../reviews.js').ProductReviews>}
+ */
+export async function extractMacysReviews(page, url, { maxReviews = 10, maxQuestions = 5 } = {}) {
+  const fromJsonLd = reviewsFromJsonLd((await readStructuredData(page)).jsonLd);
+  const questions = await extractQuestions(page, maxQuestions);
+
+  // The review widget only renders once it is scrolled into view.
+  const section = await queryFirst(page, SELECTORS.REVIEWS.SECTION);
+  if (!section) {
+    logger.debug("No reviews section on this page.");
+    return { ...fromJsonLd, reviews: mostRecentReviews(fromJsonLd.reviews, maxReviews), questions };
+  }
+  await section.scrollIntoViewIfNeeded();
+  await page.waitForSelector(anySelector(SELECTORS.REVIEWS.ITEMS), { timeout: 5000 }).catch(() => {});
+
+  const readText = (selectors) => evalFirst(page, selectors, (el) => el.textContent.trim()).catch(() => "");
+  const rating = parseRating(await readText(SELECTORS.REVIEWS.AVERAGE_RATING)) ?? fromJsonLd.rating;
+  const count = parseReviewCount(await readText(SELECTORS.REVIEWS.REVIEW_COUNT)) ?? fromJsonLd.count;
+
+  const reviews = [];
+  if (maxReviews > 0) {
+    await sortNewestFirst(page);
+    const found = await readPages(page, {
+      group: SELECTORS.REVIEWS,
+      readItems: readReviewItems,
+      max: maxReviews,
+      label: "review",
+      textOf: (review) => review.body || review.title,
+    });
+    reviews.push(...found.map(normalizeReview));
+  }
+
+  return {
+    rating,
+    count,
+    reviews: mostRecentReviews(reviews.length ? reviews : fromJsonLd.reviews, maxReviews),
+    questions,
+  };
+}
+
+/**
+ * Reads the customer questions and their answers, following the Q&A pages
+ * until `maxQuestions` are collected. Returns [] when the page has no Q&A.
+ * @returns {Promise<import('../../reviews.js').Question[]>}
+ */
+async function extractQuestions(page, maxQuestions) {
+  if (maxQuestions <= 0) return [];
+  const section = await queryFirst(page, SELECTORS.QUESTIONS.SECTION);
+  if (!section) {
+    logger.debug("No questions section on this page.");
+    return [];
+  }
+  // Rendered lazily, like the review widget.
+  await section.scrollIntoViewIfNeeded();
+  await page.waitForSelector(anySelector(SELECTORS.QUESTIONS.ITEMS), { timeout: 5000 }).catch(() => {});
+  const found = await readPages(page, {
+    group: SELECTORS.QUESTIONS,
+    readItems: readQuestionItems,
+    max: maxQuestions,
+    label: "question",
+    textOf: (question) => question.question,
+  });
+  return mostRecentQuestions(found.map(normalizeQuestion), maxQuestions);
+}
+
+/**
+ * Collects the items of a paged list (`group.ITEMS`, `group.NEXT_PAGE`)
+ * until `max` are read or the next-page control runs out. After each click
+ * it waits for the list to show a different first item.
+ * @param {import('playwright').Page} page
+ * @param {{group: {ITEMS: string[], NEXT_PAGE: string[]}, readItems: (page: import('playwright').Page) => Promise<object[]>, max: number, label: string, textOf: (item: object) => string}} options
+ * @returns {Promise<object[]>} Raw items, in page order.
+ */
+async function readPages(page, { group, readItems, max, label, textOf }) {
+  const items = [];
+  for (let pageNumber = 1; pageNumber <= MAX_REVIEW_PAGES; pageNumber++) {
+    const found = await readItems(page);
+    items.push(...found);
+    logger.debug(`Read ${found.length} ${label}(s) from ${label}s page ${pageNumber}.`);
+    if (!found.length || items.length >= max) break;
+
+    const next = await queryFirst(page, group.NEXT_PAGE);
+    if (!next || !(await next.isVisible())) break;
+    await next.click();
+    await page
+      .waitForFunction(
+        ({ selector, text }) => {
+          const item = document.querySelector(selector);
+          return item && !item.textContent.includes(text);
+        },
+        { selector: anySelector(group.ITEMS), text: textOf(found[0]).slice(0, 80) },
+        { timeout: 10000 }
+      )
+      .catch(() => page.waitForTimeout(1500));
+  }
+  return items;
+}
+
+async function sortNewestFirst(page) {
+  const sort = await queryFirst(page, SELECTORS.REVIEWS.SORT);
+  if (!sort) return;
+  const value = await sort.evaluate((select) =>
+    [...select.options].find((option) => /newest|most recent/i.test(option.textContent))?.value
+  );
+  if (!value) return;
+  await sort.selectOption(value);
+  await page.waitForTimeout(1500);
+}
+
+async function readReviewItems(page) {
+  return evalAll(
+    page,
+    SELECTORS.REVIEWS.ITEMS,
+    (items, selectors) => {
+      const find = (item, list) => list.map((s) => item.querySelector(s)).find(Boolean);
+      const text = (item, list) => find(item, list)?.textContent.trim() || "";
+      return items.map((item) => {
+        const ratingEl = find(item, selectors.ITEM_RATING);
+        const dateEl = find(item, selectors.ITEM_DATE);
+        return {
+          rating: ratingEl?.getAttribute("aria-label") || ratingEl?.textContent || "",
+          title: text(item, selectors.ITEM_TITLE),
+          body: text(item, selectors.ITEM_BODY),
+          date: dateEl?.getAttribute("datetime") || dateEl?.textContent || "",
+          verified: !!find(item, selectors.ITEM_VERIFIED),
+        };
+      });
+    },
+    SELECTORS.REVIEWS
+  );
+}
+
+async function readQuestionItems(page) {
+  return evalAll(
+    page,
+    SELECTORS.QUESTIONS.ITEMS,
+    (items, selectors) => {
+      const find = (scope, list) => list.map((s) => scope.querySelector(s)).find(Boolean);
+      const text = (scope, list) => find(scope, list)?.textContent.trim() || "";
+      const date = (scope, list) => {
+        const el = find(scope, list);
+        return el?.getAttribute("datetime") || el?.textContent || "";
+      };
+      return items.map((item) => {
+        const answerSelector = selectors.ANSWERS.find((s) => item.querySelector(s));
+        const answers = answerSelector ? [...item.querySelectorAll(answerSelector)] : [];
+        return {
+          question: text(item, selectors.ITEM_QUESTION),
+          date: date(item, selectors.ITEM_DATE),
+          answers: answers.map((answer) => ({
+            body: text(answer, selectors.ANSWER_BODY),
+            date: date(answer, selectors.ANSWER_DATE),
+          })),
+        };
+      });
+    },
+    SELECTORS.QUESTIONS
+  );
+}
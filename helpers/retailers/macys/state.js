@@ -0,0 +1,96 @@
+// helpers/retailers/macys/state.js
+import { imageUrl, textOf, toArray } from "../../structuredData.js";
+import { MACYS_IMAGE_BASE } from "./constants.js";
+
+/**
+ * Reads a Macy's state blob (embedded JSON or a hydration global) into a
+ * StructuredProduct; used as a `stateParsers` entry of extractStructuredProduct.
+ * @param {object} state
+ * @returns {import('../../structuredData.js').StructuredProduct|null}
+ */
+export function parseMacysState(state) {
+  const product = findMacysStateProduct(state);
+  return product ? parseStateProduct(product) : null;
+}
+
+/**
+ * Finds the product object in a Macy's state blob: the object that carries
+ * both `traits` and a `relationships.upcs` collection.
+ */
+function findMacysStateProduct(root, depth = 0) {
+  if (!root || typeof root !== "object" || depth > 8) return null;
+  if (root.traits && root.relationships?.upcs) return root;
+  for (const value of Object.values(root)) {
+    const found = findMacysStateProduct(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function parseStateProduct(product) {
+  const colorMap = product.traits?.colors?.colorMap || {};
+  const sizeMap = product.traits?.sizes?.sizeMap || {};
+  const productPrices = readTieredPrice(product.pricing);
+
+  const colorImages = {};
+  const colorNames = {};
+  for (const [id, color] of Object.entries(colorMap)) {
+    const name = textOf(color.name);
+    colorNames[id] = name;
+    colorImages[name] = toArray(color.imagery?.images)
+      .map((img) => (img.filePath ? MACYS_IMAGE_BASE + img.filePath : imageUrl(img)))
+      .filter(Boolean);
+  }
+
+  const variants = Object.values(product.relationships.upcs || {}).map((upc) => {
+    const colorId = upc.traits?.colors?.selectedColor;
+    const sizeId = upc.traits?.sizes?.selectedSize;
+    const color = colorNames[colorId] || textOf(colorMap[colorId]?.name);
+    const prices = readTieredPrice(upc.pricing || colorMap[colorId]?.pricing);
+    const availability = upc.availability || {};
+
+    return {
+      color,
+      size: textOf(sizeMap[sizeId]?.name ?? sizeMap[sizeId]?.displayName),
+      sku: textOf(upc.id),
+      upc: textOf(upc.identifier?.upcNumber),
+      price: prices.price || productPrices.price,
+      regularPrice: prices.regularPrice || productPrices.regularPrice,
+      availability:
+        availability.available === false
+          ? "unavailable"
+          : availability.lowAvailability
+          ? "low_stock"
+          : "in_stock",
+      image: colorImages[color]?.[0] || "",
+    };
+  });
+
+  const allImages = Object.values(colorImages).flat();
+  return {
+    name: textOf(product.detail?.name),
+    brand: textOf(product.detail?.brand?.name ?? product.detail?.brand),
+    description: textOf(product.detail?.description),
+    breadcrumbs: [],
+    images: [...new Set(allImages)],
+    colorImages,
+    variants: variants.filter((v) => v.price),
+  };
+}
+
+/**
+ * Reads Macy's `pricing.price.tieredPrice` structure into a selling price
+ * and, when the item is discounted, its regular price.
+ */
+function readTieredPrice(pricing) {
+  const values = toArray(pricing?.price?.tieredPrice).flatMap((tier) => toArray(tier.values));
+  let price = "";
+  let regularPrice = "";
+  for (const entry of values) {
+    const value = textOf(entry.value ?? entry.formattedValue);
+    if (!value) continue;
+    if (/regular|orig/i.test(entry.type || "")) regularPrice = regularPrice || value;
+    else price = price || value;
+  }
+  return { price: price || regularPrice, regularPrice: price ? regularPrice : "" };
+}
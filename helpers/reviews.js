@@ -0,0 +1,277 @@
+// helpers/reviews.js
+//
+// Optional reviews step: average rating and review count go into metafield
+// columns of the product's first row; the recent reviews and the customer
+// questions and answers are written to their own files, keyed by handle.
+import { textOf, toArray } from "./structuredData.js";
+import { logger } from "./logger.js";
+
+export const REVIEW_COLUMNS = {
+  rating: "Rating (product.metafields.custom.rating)",
+  count: "Review Count (product.metafields.custom.review_count)",
+};
+
+const RATING_SCALE = { min: 1, max: 5 };
+
+const decimal = (number) => (Number.isInteger(number) ? number.toFixed(1) : String(number));
+
+/**
+ * Shopify metafield type of each review column and how its CSV value is sent
+ * through the API (null leaves the metafield out). Other metafield columns
+ * are single-line text.
+ */
+export const REVIEW_METAFIELD_TYPES = {
+  [REVIEW_COLUMNS.rating]: {
+    type: "rating",
+    toValue: (value) => {
+      const rating = Number(value);
+      if (!(rating >= RATING_SCALE.min && rating <= RATING_SCALE.max)) return null;
+      return JSON.stringify({
+        value: decimal(rating),
+        scale_min: decimal(RATING_SCALE.min),
+        scale_max: decimal(RATING_SCALE.max),
+      });
+    },
+  },
+  [REVIEW_COLUMNS.count]: {
+    type: "number_integer",
+    toValue: (value) => (Number.isInteger(Number(value)) ? String(Number(value)) : null),
+  },
+};
+
+/**
+ * @typedef {object} Review
+ * @property {number|null} rating - Stars, 0-5.
+ * @property {string} title
+ * @property {string} body
+ * @property {string} date - YYYY-MM-DD when the page's date could be read,
+ * otherwise the text as shown.
+ * @property {boolean} verified - Verified purchaser.
+ */
+
+/**
+ * @typedef {object} Answer
+ * @property {string} body
+ * @property {string} date - Same format as Review.date.
+ */
+
+/**
+ * @typedef {object} Question
+ * @property {string} question
+ * @property {string} date - Same format as Review.date.
+ * @property {Answer[]} answers - In page order.
+ */
+
+/**
+ * @typedef {object} ProductReviews
+ * @property {number|null} rating - Average rating.
+ * @property {number|null} count - Total number of reviews on the site.
+ * @property {Review[]} reviews - Most recent first, at most the configured number.
+ * @property {Question[]} [questions] - Customer Q&A, most recent first, at
+ * most the configured number. Missing in checkpoints written before Q&A
+ * was captured.
+ */
+
+/**
+ * Reads "4.5 out of 5 stars", "Rated 4.5" or "4.5" as a star rating.
+ * @param {string|number} text
+ * @returns {number|null}
+ */
+export function parseRating(text) {
+  const match = /(\d+(?:[.,]\d+)?)/.exec(String(text ?? ""));
+  if (!match) return null;
+  const rating = parseFloat(match[1].replace(",", "."));
+  return rating >= 0 && rating <= 5 ? rating : null;
+}
+
+/**
+ * Reads "(1,234)" or "1,234 Reviews" as a count.
+ * @param {string|number} text
+ * @returns {number|null}
+ */
+export function parseReviewCount(text) {
+  const match = /(\d[\d,.]*)/.exec(String(text ?? ""));
+  return match ? parseInt(match[1].replace(/[,.]/g, ""), 10) : null;
+}
+
+/**
+ * @param {string} text - "March 3, 2025", "2025-03-03T10:00:00Z", ...
+ * @returns {string} YYYY-MM-DD, or the trimmed text when it is not a date.
+ */
+export function normalizeReviewDate(text) {
+  const raw = String(text ?? "").trim();
+  const time = Date.parse(raw);
+  return isNaN(time) ? raw : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {{rating?: string|number, title?: string, body?: string, date?: string, verified?: boolean}} raw
+ * @returns {Review}
+ */
+export function normalizeReview({ rating, title, body, date, verified } = {}) {
+  return {
+    rating: parseRating(rating),
+    title: textOf(title),
+    body: textOf(body).replace(/\s+/g, " ").trim(),
+    date: normalizeReviewDate(date),
+    verified: !!verified,
+  };
+}
+
+/**
+ * @param {{question?: string, date?: string, answers?: {body?: string, date?: string}[]}} raw
+ * @returns {Question}
+ */
+export function normalizeQuestion({ question, date, answers = [] } = {}) {
+  const clean = (text) => textOf(text).replace(/\s+/g, " ").trim();
+  return {
+    question: clean(question),
+    date: normalizeReviewDate(date),
+    answers: answers
+      .map((answer) => ({ body: clean(answer.body), date: normalizeReviewDate(answer.date) }))
+      .filter((answer) => answer.body),
+  };
+}
+
+// Repeats dropped by `keyOf`, newest first, undated items last in page order.
+function mostRecent(items, max, keyOf) {
+  const seen = new Set();
+  const unique = items.filter((item) => {
+    const key = keyOf(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const dated = (item) => /^\d{4}-\d{2}-\d{2}$/.test(item.date);
+  return [
+    ...unique.filter(dated).sort((a, b) => b.date.localeCompare(a.date)),
+    ...unique.filter((item) => !dated(item)),
+  ].slice(0, max);
+}
+
+/**
+ * Drops repeats (the same review on two pages) and keeps the `max` newest;
+ * reviews without a readable date keep their page order, after dated ones.
+ * @param {Review[]} reviews
+ * @param {number} max
+ * @returns {Review[]}
+ */
+export function mostRecentReviews(reviews, max) {
+  return mostRecent(reviews, max, (review) => `${review.date}|${review.title}|${review.body}`);
+}
+
+/**
+ * Same as mostRecentReviews, for questions; empty questions are dropped.
+ * @param {Question[]} questions
+ * @param {number} max
+ * @returns {Question[]}
+ */
+export function mostRecentQuestions(questions, max) {
+  return mostRecent(
+    questions.filter((question) => question.question),
+    max,
+    (question) => `${question.date}|${question.question}`
+  );
+}
+
+/**
+ * Rating, count and reviews from a page's JSON-LD Product node.
+ * @param {object[]} jsonLd - As returned by readStructuredData.
+ * @returns {ProductReviews}
+ */
+export function reviewsFromJsonLd(jsonLd) {
+  const nodes = toArray(jsonLd).flatMap((node) => [node, ...toArray(node?.["@graph"])]);
+  const product = nodes.find((node) => toArray(node?.["@type"]).includes("Product"));
+  const aggregate = product?.aggregateRating || {};
+  return {
+    rating: parseRating(aggregate.ratingValue),
+    count: parseReviewCount(aggregate.reviewCount ?? aggregate.ratingCount),
+    reviews: toArray(product?.review).map((review) =>
+      normalizeReview({
+        rating: review.reviewRating?.ratingValue,
+        title: review.name,
+        body: review.reviewBody ?? review.description,
+        date: review.datePublished,
+      })
+    ),
+    questions: [],
+  };
+}
+
+/**
+ * Runs the retailer's review extraction on an already loaded product page.
+ * A failure only loses the reviews, never the product.
+ * @param {import('./retailers/index.js').RetailerAdapter} retailer
+ * @param {import('playwright').Page} page
+ * @param {string} url
+ * @param {{maxReviews: number, maxQuestions: number}} settings
+ * @returns {Promise<ProductReviews|null>}
+ */
+export async function captureReviews(retailer, page, url, { maxReviews, maxQuestions }) {
+  if (!retailer.extractReviews) return null;
+  try {
+    const result = await retailer.extractReviews(page, url, { maxReviews, maxQuestions });
+    logger.info(
+      `⭐ Rating ${result.rating ?? "n/a"} from ${result.count ?? 0} review(s); kept ${result.reviews.length} review(s) and ${result.questions?.length ?? 0} question(s).`
+    );
+    return result;
+  } catch (err) {
+    logger.warn("⚠️ Could not read reviews:", err.message, { field: "reviews" });
+    return null;
+  }
+}
+
+/**
+ * Writes the rating and review count onto a product's first row.
+ * @param {object[]} rows - Rows of one product.
+ * @param {ProductReviews|null} productReviews
+ * @returns {object[]} The same rows.
+ */
+export function applyReviewColumns(rows, productReviews) {
+  if (!rows.length || !productReviews) return rows;
+  if (productReviews.rating !== null) rows[0][REVIEW_COLUMNS.rating] = productReviews.rating;
+  if (productReviews.count !== null) rows[0][REVIEW_COLUMNS.count] = productReviews.count;
+  return rows;
+}
+
+/**
+ * One CSV row per review.
+ * @param {Object<string, ProductReviews & {url: string}>} reviewsByHandle -
+ * Keyed by formatHandleFromUrl(url).
+ * @returns {object[]}
+ */
+export function reviewCsvRows(reviewsByHandle) {
+  return Object.entries(reviewsByHandle).flatMap(([handle, { url, reviews }]) =>
+    reviews.map((review) => ({
+      Handle: handle,
+      Rating: review.rating ?? "",
+      Title: review.title,
+      Body: review.body,
+      Date: review.date,
+      Verified: review.verified ? "TRUE" : "FALSE",
+      URL: url,
+    }))
+  );
+}
+
+/**
+ * One CSV row per answer; a question nobody answered gets one row with an
+ * empty answer.
+ * @param {Object<string, ProductReviews & {url: string}>} reviewsByHandle -
+ * Keyed by formatHandleFromUrl(url).
+ * @returns {object[]}
+ */
+export function questionCsvRows(reviewsByHandle) {
+  return Object.entries(reviewsByHandle).flatMap(([handle, { url, questions = [] }]) =>
+    questions.flatMap((question) =>
+      (question.answers.length ? question.answers : [{ body: "", date: "" }]).map((answer) => ({
+        Handle: handle,
+        Question: question.question,
+        "Question Date": question.date,
+        Answer: answer.body,
+        "Answer Date": answer.date,
+        URL: url,
+      }))
+    )
+  );
+}
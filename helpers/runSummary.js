@@ -0,0 +1,167 @@
+// helpers/runSummary.js
+//
+// End-of-run summary: what was scraped, which products came back with gaps
+// (no price, description, images or variants), why URLs failed and how long
+// each product took. Warnings are collected from the logger, so any helper
+// that logs `logger.warn(message, { field })` shows up under that field.
+
+import { addLogSink, logger } from "./logger.js";
+
+const isVariantRow = (row) => row["Variant Price"] !== undefined && row["Variant Price"] !== "";
+const hasOptionValue = (row) => !!(row["Option1 Value"] || row["Option2 Value"]);
+
+/**
+ * Fields a product's rows came back without.
+ * @param {object[]} rows - Rows of a single product.
+ * @returns {string[]} e.g. ["description", "price"]
+ */
+export function findMissingFields(rows) {
+  const [first] = rows;
+  const missing = [];
+  if (!first.Title) missing.push("title");
+  if (!first["Body (HTML)"]) missing.push("description");
+  // A row that names a variant but has no price is a variant whose price
+  // could not be read.
+  if (rows.some((row) => hasOptionValue(row) && !isVariantRow(row))) missing.push("price");
+  if (!rows.some(isVariantRow)) missing.push("variants");
+  if (!rows.some((row) => row["Image Src"])) missing.push("images");
+  return missing;
+}
+
+/**
+ * Groups failed-URL entries by reason: the error type when there is one
+ * (e.g. "blocked"), otherwise the first line of the error with URLs taken
+ * out so the same failure on different pages lands in one group.
+ * @param {object[]} failedUrls - Entries of the failed-URLs file.
+ * @returns {Object<string, Array<{url: string, error: string}>>}
+ */
+export function groupFailuresByReason(failedUrls) {
+  const groups = {};
+  for (const failure of failedUrls) {
+    const entry = typeof failure === "object" && failure !== null ? failure : { url: String(failure) };
+    const reason =
+      entry.errorType ||
+      (entry.error || "Invalid input entry").split("\n")[0].replace(/https?:\/\/\S+/g, "<url>").trim();
+    (groups[reason] ||= []).push({
+      url: entry.url || entry.listingUrl || "",
+      error: entry.error || "",
+    });
+  }
+  return groups;
+}
+
+/**
+ * Starts collecting a run's warnings and per-product timings.
+ * @returns {{recordProduct: (url: string, result: {durationMs: number, status: string}) => void, recordImageDownloads: (result: object) => void, discard: () => void, finish: (options: {products: object[][], failedUrls: object[], rejectedRows?: object[]}) => object}}
+ */
+export function createRunSummary() {
+  const startedAt = new Date();
+  const warnings = [];
+  const timings = new Map();
+  let imageDownloads = null;
+
+  const stopCollecting = addLogSink((entry) => {
+    if (entry.level !== "warn") return;
+    warnings.push({ field: entry.field || "other", url: entry.url || "", message: entry.message });
+  });
+
+  return {
+    /** Stops collecting warnings without building a summary (failed run). */
+    discard() {
+      stopCollecting();
+    },
+
+    recordProduct(url, { durationMs, status }) {
+      timings.set(url, { durationMs, status });
+    },
+
+    /** @param {{images: object[], duplicates: number, failures: object[]}} result - Of `rehostImages`. */
+    recordImageDownloads({ images, duplicates, failures }) {
+      imageDownloads = {
+        stored: new Set(images.map((image) => image.file)).size,
+        duplicates,
+        failed: failures.length,
+        failures,
+      };
+    },
+
+    /**
+     * @param {{products: object[][], failedUrls: object[], rejectedRows?: Array<{row: object, reason: string}>}} options -
+     * `products` holds the rows of each exported product; `rejectedRows`
+     * the rows that failed validation.
+     * @returns {object} The summary written to `<fileName>_summary.json`.
+     */
+    finish({ products, failedUrls, rejectedRows = [] }) {
+      stopCollecting();
+      const finishedAt = new Date();
+
+      const warningsByField = {};
+      for (const { field, url, message } of warnings) {
+        (warningsByField[field] ||= []).push({ url, message });
+      }
+      for (const rows of products) {
+        const url = rows[0].original_product_url || "";
+        for (const field of findMissingFields(rows)) {
+          (warningsByField[field] ||= []).push({ url, message: `No ${field} in the exported rows.` });
+        }
+      }
+
+      const rejectedByReason = {};
+      for (const { row, reason } of rejectedRows) {
+        (rejectedByReason[reason] ||= []).push(row.Handle || "");
+      }
+
+      return {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        counts: {
+          products: products.length,
+          variants: products.reduce((sum, rows) => sum + rows.filter(isVariantRow).length, 0),
+          rows: products.reduce((sum, rows) => sum + rows.length, 0),
+          failed: failedUrls.length,
+          rejectedRows: rejectedRows.length,
+          warnings: Object.values(warningsByField).reduce((sum, list) => sum + list.length, 0),
+        },
+        warningsByField,
+        failuresByReason: groupFailuresByReason(failedUrls),
+        rejectedByReason,
+        timings: [...timings].map(([url, timing]) => ({ url, ...timing })),
+        ...(imageDownloads ? { imageDownloads } : {}),
+      };
+    },
+  };
+}
+
+/**
+ * Prints the headline numbers of a run summary.
+ * @param {object} summary - Result of `finish()`.
+ */
+export function printRunSummary(summary) {
+  const { counts, warningsByField, failuresByReason, timings } = summary;
+  logger.info("\n📋 Run summary:");
+  logger.info(
+    `  ${counts.products} product(s), ${counts.variants} variant(s), ${counts.rows} row(s), ${counts.failed} failure(s) in ${(summary.durationMs / 1000).toFixed(1)}s`
+  );
+  for (const [field, list] of Object.entries(warningsByField)) {
+    logger.info(`  ⚠️ ${field}: ${list.length} warning(s)`);
+  }
+  for (const [reason, list] of Object.entries(failuresByReason)) {
+    logger.info(`  ❌ ${reason}: ${list.length} URL(s)`);
+  }
+  for (const [reason, handles] of Object.entries(summary.rejectedByReason)) {
+    logger.info(`  🚫 ${reason}: ${handles.length} row(s) rejected`);
+  }
+  if (summary.imageDownloads) {
+    const { stored, duplicates, failed } = summary.imageDownloads;
+    logger.info(`  🖼️ ${stored} image(s) stored, ${duplicates} duplicate(s), ${failed} download failure(s)`);
+  }
+  const timed = timings.filter((t) => t.status === "ok");
+  if (timed.length) {
+    const average = timed.reduce((sum, t) => sum + t.durationMs, 0) / timed.length;
+    const slowest = timed.reduce((a, b) => (b.durationMs > a.durationMs ? b : a));
+    logger.info(
+      `  ⏱️ ${(average / 1000).toFixed(1)}s per product on average, slowest ${(slowest.durationMs / 1000).toFixed(1)}s (${slowest.url})`
+    );
+  }
+}
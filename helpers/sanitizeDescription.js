@@ -0,0 +1,180 @@
+// helpers/sanitizeDescription.js
+import fs from "fs";
+import { parse } from "node-html-parser";
+import { logger } from "./logger.js";
+
+/**
+ * Default clean-up rules for `Body (HTML)`. A rules file passed with
+ * --description-rules is merged over these, key by key.
+ */
+export const DEFAULT_DESCRIPTION_RULES = {
+  allowedTags: ["p", "ul", "ol", "li", "h3", "h4", "strong", "em", "b", "i", "br"],
+  // tag -> allowed attribute names; everything else (data-v-*, class, ...) is dropped
+  allowedAttributes: {},
+  // Sections removed before anything else is read
+  removeSelectors: [
+    '[data-auto="shipping-returns-section"]',
+    '[data-auto="sales-floor-widget-section"]',
+    ".salesfloor",
+    '[data-testid="note"]',
+  ],
+  // Headings whose whole section is dropped
+  removeSectionHeadings: ["shipping & returns", "shipping and returns"],
+  // Elements whose text matches one of these patterns are dropped
+  removeTextPatterns: ["chat with a style expert", "chat now", "customer ?service"],
+  // Links to these hosts (and relative links) are removed together with their text;
+  // other links are unwrapped to plain text. The retailer adapter adds its own hosts.
+  retailerLinkHosts: [],
+  // Free-text replacements applied to the final text, e.g. retailer names
+  replacements: [],
+  featuresHeading: "Features",
+};
+
+// Never useful in a product description, whatever the store rules say
+const ALWAYS_REMOVED = "script, style, noscript, template, iframe, svg, button, form, input, select";
+
+let activeRules = DEFAULT_DESCRIPTION_RULES;
+
+export function loadDescriptionRules(rulesPath) {
+  const fileRules = JSON.parse(fs.readFileSync(rulesPath, "utf-8"));
+  activeRules = { ...DEFAULT_DESCRIPTION_RULES, ...fileRules };
+  logger.info(`🧹 Loaded description rules from ${rulesPath}.`);
+  return activeRules;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function applyReplacements(text, replacements) {
+  return replacements.reduce(
+    (result, { find, replace = "", flags = "gi" }) =>
+      result.replace(new RegExp(find, flags), replace),
+    text
+  );
+}
+
+function isRetailerLink(href, hosts) {
+  if (!href || href.startsWith("/") || href.startsWith("#")) return true;
+  try {
+    const { hostname } = new URL(href);
+    return hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Removes retailer-specific sections, widgets and links in place.
+ */
+function stripRetailerContent(root, rules) {
+  root.querySelectorAll(ALWAYS_REMOVED).forEach((el) => el.remove());
+  for (const selector of rules.removeSelectors) {
+    root.querySelectorAll(selector).forEach((el) => el.remove());
+  }
+
+  for (const heading of root.querySelectorAll("h1, h2, h3, h4, h5, h6")) {
+    const text = normalizeText(heading.text).toLowerCase();
+    if (rules.removeSectionHeadings.some((h) => text === h.toLowerCase())) {
+      // The heading's column/list item holds the whole section
+      (heading.closest("li") || heading.parentNode)?.remove();
+    }
+  }
+
+  // Only text-only elements are tested, so a match never takes its
+  // surrounding container down with it
+  const textPatterns = rules.removeTextPatterns.map((p) => new RegExp(p, "i"));
+  for (const el of root.querySelectorAll("*")) {
+    const textOnly = el.childNodes.every((child) => child.nodeType === 3);
+    if (textOnly && textPatterns.some((re) => re.test(el.text))) {
+      el.remove();
+    }
+  }
+
+  for (const link of root.querySelectorAll("a")) {
+    if (isRetailerLink(link.getAttribute("href"), rules.retailerLinkHosts)) {
+      link.remove();
+    } else {
+      link.replaceWith(link.text);
+    }
+  }
+}
+
+/**
+ * Rebuilds a whitelisted copy of a node's children.
+ */
+function renderWhitelisted(node, rules) {
+  return node.childNodes
+    .map((child) => {
+      if (child.nodeType === 3) {
+        return escapeHtml(applyReplacements(child.text, rules.replacements));
+      }
+      if (child.nodeType !== 1) return "";
+      const tag = child.rawTagName?.toLowerCase();
+      const inner = renderWhitelisted(child, rules);
+      if (!rules.allowedTags.includes(tag)) return inner;
+      if (tag === "br") return "<br>";
+      const attrs = (rules.allowedAttributes[tag] || [])
+        .filter((name) => child.hasAttribute(name))
+        .map((name) => ` ${name}="${escapeHtml(child.getAttribute(name))}"`)
+        .join("");
+      return `<${tag}${attrs}>${inner}</${tag}>`;
+    })
+    .join("")
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Cleans scraped description HTML for Shopify's `Body (HTML)`: strips
+ * retailer sections (shipping, returns, chat widget), internal links,
+ * framework attributes and comments, and restructures the result as an intro
+ * paragraph followed by a Features list. When the Macy's layout is not
+ * recognized the whitelisted markup is returned instead.
+ *
+ * @param {string} html - Raw description HTML from extractFullDescription.
+ * @param {object} [rules] - Overrides for the active rules.
+ * @param {string[]} [retailerLinkHosts] - The retailer's own hosts, added to
+ * `rules.retailerLinkHosts`.
+ * @returns {string}
+ */
+export function sanitizeDescriptionHtml(html, rules = activeRules, retailerLinkHosts = []) {
+  if (!html) return "";
+  rules = { ...rules, retailerLinkHosts: [...(rules.retailerLinkHosts || []), ...retailerLinkHosts] };
+  const root = parse(`<div>${html}</div>`, { comment: false });
+  stripRetailerContent(root, rules);
+
+  const clean = (text) => escapeHtml(normalizeText(applyReplacements(text, rules.replacements)));
+
+  const introParagraphs = root
+    .querySelectorAll('[data-auto="product-long-description-section"] p, .long-description p')
+    .map((p) => clean(p.text))
+    .filter(Boolean);
+  const intro = introParagraphs.length
+    ? introParagraphs
+    : [clean(root.querySelector(".long-description, [data-auto='product-long-description-section']")?.text || "")].filter(Boolean);
+
+  const featuresSection = root.querySelector('[data-auto="product-summary-section"]');
+  const features = (featuresSection ? featuresSection.querySelectorAll("ul li") : [])
+    .map((li) => clean(li.text))
+    .filter(Boolean);
+
+  if (!intro.length && !features.length) {
+    return normalizeText(renderWhitelisted(root, rules))
+      .replace(/<(p|li|h3|h4|ul|ol|strong|em|b|i)>\s*<\/\1>/g, "");
+  }
+
+  let result = intro.map((text) => `<p>${text}</p>`).join("");
+  if (features.length) {
+    result += `<h4>${escapeHtml(rules.featuresHeading)}</h4>`;
+    result += `<ul>${features.map((text) => `<li>${text}</li>`).join("")}</ul>`;
+  }
+  return result;
+}
@@ -0,0 +1,482 @@
+// helpers/scrapeRun.js
+//
+// One complete scrape: read the URL entries, crawl listings, scrape every
+// product through its retailer adapter, then validate, diff, push and write
+// the output files. Used by the CLI (index.js) and the job server
+// (server.js), so both produce the same files.
+import path from "path";
+import {
+  createScraperContext,
+  createScraperSession,
+  launchBrowser,
+  saveStorageState,
+} from "./browser.js";
+import { BlockedError } from "./blocking.js";
+import { createProxyPool, loadProxyList } from "./proxies.js";
+import {
+  buildOutputFileName,
+  saveChangeReport,
+  saveRejectedRows,
+  saveReviews,
+  saveRunSummary,
+  saveShopifyDryRun,
+  saveToCSVAndExcel,
+} from "./fileIO.js";
+import { checkpointKey, fileNameFromCheckpoint, openCheckpoint } from "./checkpoint.js";
+import { createRateLimiter, runWithPool } from "./pool.js";
+import { loadPricingRules } from "./pricing.js";
+import { loadTaxonomy } from "./taxonomy.js";
+import { loadAttributeMapping } from "./attributes.js";
+import { setSkuPattern } from "./sku.js";
+import { loadCurrencyRates, setCurrencySettings } from "./currency.js";
+import { setInventorySettings, skipUnavailableVariants } from "./inventory.js";
+import { loadDescriptionRules } from "./sanitizeDescription.js";
+import { filePrefixForUrls, getRetailerForUrl, productIdFromUrl } from "./retailers/index.js";
+import {
+  diffAgainstState,
+  loadState,
+  printChangeSummary,
+  revertFailedProducts,
+  saveState,
+} from "./state.js";
+import { createShopifyClient, pushToShopify, shopifyConfigFromEnv } from "./shopify.js";
+import { exportProductFormats } from "./exporters/index.js";
+import { toShopifyRows } from "./exporters/shopifyCsv.js";
+import { rehostImages } from "./imageRehost.js";
+import { groupRowsByHandle } from "./productModel.js";
+import { keepValidVariants, validateRows } from "./validation.js";
+import { applyReviewColumns, captureReviews } from "./reviews.js";
+import { formatHandleFromUrl } from "./formatters.js";
+import { configureLogger, logger, withLogContext } from "./logger.js";
+import { createRunSummary, printRunSummary } from "./runSummary.js";
+
+/**
+ * Applies the process-wide settings (pricing, taxonomy, attribute mapping,
+ * description rules, currency, SKU pattern, inventory) and connects to Shopify when pushing.
+ * Throws on missing Shopify credentials, before any scraping happens.
+ * @param {object} options - Parsed CLI options.
+ * @returns {{shopifyClient: object|null, shopifyConfig: object}}
+ */
+export function prepareRun(options) {
+  if (options.pricingRules) {
+    loadPricingRules(options.pricingRules);
+  }
+  if (options.taxonomy) {
+    loadTaxonomy(options.taxonomy);
+  }
+  if (options.attributeMap) {
+    loadAttributeMapping(options.attributeMap);
+  }
+  if (options.descriptionRules) {
+    loadDescriptionRules(options.descriptionRules);
+  }
+  setCurrencySettings({ ...options.currency, locale: options.locale });
+  if (options.currency.rates) {
+    loadCurrencyRates(options.currency.rates);
+  }
+  setSkuPattern(options.skuPattern);
+  setInventorySettings(options.inventory);
+
+  const shopifyConfig = shopifyConfigFromEnv();
+  const shopifyClient =
+    options.pushShopify && !options.dryRun ? createShopifyClient(shopifyConfig) : null;
+  return { shopifyClient, shopifyConfig };
+}
+
+/**
+ * Runs `attempt` on a session; a block page gets a fresh session (next proxy,
+ * new profile) and another try, up to `blockRetries` times. Any other error
+ * is thrown straight away.
+ * @param {{rotate: () => Promise<void>}} session - From createScraperSession.
+ * @param {number} blockRetries
+ * @param {() => Promise<T>} attempt
+ * @param {() => Promise<void>} [beforeRetry] - e.g. the rate limiter.
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function retryOnBlock(session, blockRetries, attempt, beforeRetry = async () => {}) {
+  for (let blocks = 0; ; blocks++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!(err instanceof BlockedError) || blocks >= blockRetries) throw err;
+      logger.warn(`🚧 ${err.message}; rotating session (${blocks + 1}/${blockRetries}).`);
+      await session.rotate();
+      await beforeRetry();
+    }
+  }
+}
+
+/**
+ * Crawls the listings (adding their products to `jobs`) and scrapes every
+ * job with the worker pool; products go into the checkpoint.
+ * @returns {Promise<Array<{status: string, reason?: Error}>>} One result per job.
+ */
+async function scrapeJobs(options, { jobs, failedUrls, checkpoint, runSummary, onProgress }) {
+  const { defaults } = options;
+  const proxyPool = options.proxies
+    ? createProxyPool(loadProxyList(options.proxies))
+    : null;
+  if (proxyPool) logger.info(`🛰️ Rotating through ${proxyPool.size} proxies.`);
+  const contextOptions = () => ({
+    proxy: proxyPool?.next() || null,
+    storageStatePath: options.storageStatePath,
+    locale: options.locale,
+    timezoneId: options.timezone,
+  });
+
+  const browser = await launchBrowser({
+    headless: options.headless,
+    channel: options.browserChannel,
+    ignoreCertificateErrors: options.ignoreCertErrors,
+  });
+
+  try {
+
+    if (options.listings.length) {
+      const knownIds = new Set(jobs.map((job) => productIdFromUrl(job.url)).filter(Boolean));
+      const discovery = await createScraperSession(browser, {
+        proxyPool,
+        storageStatePath: options.storageStatePath,
+        locale: options.locale,
+        timezoneId: options.timezone,
+      });
+
+      for (const listingUrl of options.listings) {
+        const retailer = getRetailerForUrl(listingUrl);
+        if (!retailer?.discoverProductUrls) {
+          logger.error(`❌ No listing crawler for ${listingUrl}`);
+          failedUrls.push({ listingUrl, error: "No listing crawler for this site" });
+          continue;
+        }
+        try {
+          const { productUrls, listingTags } = await retryOnBlock(discovery, options.blockRetries, () =>
+            retailer.discoverProductUrls(discovery.page, listingUrl, { maxPages: options.maxPages })
+          );
+          const extraTags = [
+            defaults.tags,
+            ...(options.listingTags ? listingTags : []),
+          ]
+            .filter(Boolean)
+            .join(", ");
+
+          for (const url of productUrls) {
+            const id = productIdFromUrl(url);
+            if (knownIds.has(id)) continue;
+            knownIds.add(id);
+            jobs.push({
+              url,
+              retailer,
+              extraTags,
+              overrides: { type: defaults.type, vendor: defaults.vendor },
+            });
+          }
+        } catch (err) {
+          logger.error(`❌ Failed to crawl listing ${listingUrl}: ${err.message}`);
+          failedUrls.push({
+            listingUrl,
+            error: err.message,
+            ...(err instanceof BlockedError ? { errorType: "blocked" } : {}),
+          });
+        }
+      }
+      await discovery.close();
+    }
+
+    const sharedContext =
+      options.poolMode === "pages"
+        ? await createScraperContext(browser, contextOptions())
+        : null;
+    const sessions = [];
+    const waitForTurn = createRateLimiter(options.delayMs, options.delayMs / 2);
+    const totalUrls = jobs.length;
+    logger.info(
+      `🧵 Scraping ${totalUrls} URL(s) with ${options.concurrency} worker(s) (${options.poolMode}).`
+    );
+
+    const results = await runWithPool(
+      jobs,
+      async ({ url, retailer, extraTags, overrides }, index, session) => {
+        const position = index + 1;
+        if (checkpoint.isDone(url)) {
+          logger.info(`⏭️ Skipping URL ${position} of ${totalUrls}, already in checkpoint: ${url}`);
+          onProgress({ position, total: totalUrls, url, status: "skipped" });
+          return;
+        }
+
+        await waitForTurn();
+        logger.info(`\n--- Processing URL ${position} of ${totalUrls} ---`);
+        logger.info(`URL: ${url}`);
+        onProgress({ position, total: totalUrls, url, status: "processing" });
+        const startedAt = Date.now();
+
+        await withLogContext({ url, retailer: retailer.id }, async () => {
+          try {
+            await retryOnBlock(
+              session,
+              options.blockRetries,
+              async () => {
+                const product = await retailer.extractProduct(session.page, url, extraTags, overrides);
+                const reviews = options.reviews
+                  ? await captureReviews(retailer, session.page, url, options.reviews)
+                  : null;
+                checkpoint.record(url, product, reviews);
+              },
+              waitForTurn
+            );
+          } catch (err) {
+            runSummary.recordProduct(url, { durationMs: Date.now() - startedAt, status: "failed" });
+            logger.error(`❌ Failed to process URL ${position} of ${totalUrls}: ${url}. Error: ${err.message}`);
+            onProgress({ position, total: totalUrls, url, status: "failed" });
+            throw err;
+          }
+          runSummary.recordProduct(url, { durationMs: Date.now() - startedAt, status: "ok" });
+          logger.info(`✅ Successfully processed URL ${position} of ${totalUrls}: ${url}`);
+          onProgress({ position, total: totalUrls, url, status: "done" });
+        });
+      },
+      {
+        concurrency: options.concurrency,
+        createResource: async (slot) => {
+          try {
+            const session = await createScraperSession(browser, {
+              proxyPool,
+              storageStatePath: options.storageStatePath,
+              sharedContext,
+              locale: options.locale,
+              timezoneId: options.timezone,
+            });
+            sessions.push(session);
+            return session;
+          } catch (err) {
+            logger.warn(`⚠️ Worker ${slot + 1} could not open a browser session: ${err.message}`);
+            throw err;
+          }
+        },
+      }
+    );
+
+    if (options.storageStatePath && sessions.length) {
+      await saveStorageState(sessions[0].context, options.storageStatePath).catch(
+        (err) => logger.warn(`⚠️ Could not save browser session: ${err.message}`)
+      );
+    }
+
+    return results;
+  } finally {
+    await browser.close();
+    logger.info("Browser closed.");
+  }
+}
+
+/**
+ * Runs one scrape and writes its output files into `options.outputDir`.
+ *
+ * @param {object} options - Parsed CLI options.
+ * @param {{urlEntries: Array<string|object>, shopifyClient?: object|null, shopifyConfig?: object, onProgress?: (progress: {position: number, total: number, url: string, status: "processing"|"done"|"failed"|"skipped"}) => void}} run
+ * - `urlEntries` are `{ url, tags, type, vendor }` objects (as returned by
+ * loadUrlEntries);
+ * `onProgress` is told about every URL as it starts and finishes.
+ * @returns {Promise<{fileName: string, outputDir: string, summary: object}>}
+ */
+export async function runScrape(
+  options,
+  { urlEntries, shopifyClient = null, shopifyConfig = shopifyConfigFromEnv(), onProgress = () => {} }
+) {
+  const { defaults } = options;
+  // Read up front so a broken state file stops the run before any scraping.
+  const previousState = loadState(options.statePath);
+
+  // Each product is checkpointed as soon as it is scraped, so a crash loses
+  // nothing; --resume reuses an earlier checkpoint (and its output file name).
+  const fileName = options.resume
+    ? fileNameFromCheckpoint(options.resume)
+    : buildOutputFileName(
+        new Date(),
+        filePrefixForUrls([
+          ...urlEntries.map((entry) => entry?.url).filter(Boolean),
+          ...options.listings,
+        ])
+      );
+  const checkpoint = openCheckpoint(
+    options.resume ||
+      path.join(options.outputDir, `${fileName}.checkpoint.jsonl`)
+  );
+  configureLogger({
+    filePath:
+      options.logFile ||
+      path.join(options.outputDir, `${fileName}.log.jsonl`),
+  });
+  const runSummary = createRunSummary();
+  try {
+    logger.info(`💾 Checkpointing to ${checkpoint.path}`);
+
+    const failedUrls = [];
+    const jobs = [];
+
+    for (const urlEntry of urlEntries) {
+      if (typeof urlEntry === "object" && urlEntry?.url) {
+        const retailer = getRetailerForUrl(urlEntry.url);
+        if (!retailer) {
+          logger.error(`❌ No retailer adapter for ${urlEntry.url}`);
+          failedUrls.push({ ...urlEntry, error: "No retailer adapter for this site" });
+          continue;
+        }
+        jobs.push({
+          url: urlEntry.url,
+          retailer,
+          extraTags: [defaults.tags, urlEntry.tags].filter(Boolean).join(", "),
+          overrides: {
+            type: urlEntry.type || defaults.type,
+            vendor: urlEntry.vendor || defaults.vendor,
+          },
+        });
+      } else {
+        logger.error("❌ Invalid urlEntry:", JSON.stringify(urlEntry));
+        failedUrls.push(urlEntry);
+      }
+    }
+
+    const results = await scrapeJobs(options, {
+      jobs,
+      failedUrls,
+      checkpoint,
+      runSummary,
+      onProgress,
+    });
+
+    // Merge in input order, whatever order the workers finished in.
+    const scraped = [];
+    const reviewsByHandle = {};
+    const mergedKeys = new Set();
+    jobs.forEach((job, index) => {
+      if (results[index].status === "rejected") {
+        failedUrls.push({
+          url: job.url,
+          tags: job.extraTags,
+          ...job.overrides,
+          error: results[index].reason.message,
+          ...(results[index].reason instanceof BlockedError
+            ? { errorType: "blocked" }
+            : {}),
+        });
+        return;
+      }
+      const key = checkpointKey(job.url);
+      if (mergedKeys.has(key)) return;
+      mergedKeys.add(key);
+      const product = checkpoint.productFor(job.url);
+      if (!product) return;
+      if (!product.variants.length) {
+        logger.info(`ℹ️ No variants to export for ${job.url}`);
+        return;
+      }
+      const productReviews = checkpoint.reviewsFor(job.url);
+      scraped.push({ product, reviews: productReviews });
+      if (productReviews) {
+        reviewsByHandle[formatHandleFromUrl(job.url)] = { url: job.url, ...productReviews };
+      }
+    });
+
+    // Images are stored before the Shopify rows are built, so every output
+    // format points at the same copies.
+    if (options.images) {
+      runSummary.recordImageDownloads(
+        await rehostImages(scraped.map(({ product }) => product), options.images)
+      );
+    }
+
+    const toRows = ({ product, reviews }) => applyReviewColumns(toShopifyRows(product), reviews);
+
+    // Rows Shopify would refuse (including duplicate SKUs) go to their own
+    // file here, before anything is pushed or written; the other formats
+    // drop the same variants. Variants --unavailable skip leaves out are
+    // gone from here on.
+    const exported = scraped
+      .map(({ product, reviews }) => ({ product: skipUnavailableVariants(product), reviews }))
+      .filter(({ product }) => product.variants.length)
+      .map((entry) => ({ product: entry.product, rows: toRows(entry) }));
+    const { validRows: allShopifyRows, rejectedRows } = validateRows(exported.flatMap(({ rows }) => rows));
+    if (rejectedRows.length) {
+      saveRejectedRows({ rejectedRows, outputDir: options.outputDir, fileName });
+    }
+    const exportedProducts = keepValidVariants(exported, allShopifyRows);
+    const scrapedProducts = groupRowsByHandle(allShopifyRows);
+
+    // Compare with the last run before anything is written, so a failed save
+    // never advances the state past what was exported. Every scraped variant
+    // is compared, so one that --unavailable skip left out is reported as out
+    // of stock rather than removed.
+    const compared = validateRows(scraped.flatMap(toRows));
+    const { report, updateRows: changedRows, state: diffedState } = diffAgainstState(
+      previousState,
+      groupRowsByHandle(compared.validRows),
+      { rejectedRows: compared.rejectedRows }
+    );
+    const changedHandles = new Set(changedRows.map((row) => row.Handle));
+    const updateRows = allShopifyRows.filter((row) => changedHandles.has(row.Handle));
+    let state = diffedState;
+
+    if (options.pushShopify) {
+      const { failed, planned } = await pushToShopify(allShopifyRows, {
+        client: shopifyClient,
+        locationId: shopifyConfig.locationId,
+        dryRun: options.dryRun,
+      });
+      failedUrls.push(...failed);
+      // Products that didn't reach the store keep their last state, so the
+      // next run still sees them as changed.
+      state = revertFailedProducts(state, previousState, failed);
+      if (options.dryRun) {
+        saveShopifyDryRun({ planned, outputDir: options.outputDir, fileName });
+      }
+    }
+
+    saveToCSVAndExcel({
+      productRow: allShopifyRows,
+      excel: options.excel,
+      csv: options.csv,
+      failedUrls,
+      outputDir: options.outputDir,
+      fileName,
+    });
+    exportProductFormats(exportedProducts, options.formats, {
+      outputDir: options.outputDir,
+      fileName,
+      storeUrl: options.storeUrl,
+    });
+    if (options.reviews) {
+      saveReviews({ reviewsByHandle, outputDir: options.outputDir, fileName });
+    }
+    logger.info("\n✅ Scraped data saved to output files.");
+
+    const summary = runSummary.finish({
+      products: scrapedProducts,
+      failedUrls,
+      rejectedRows,
+    });
+    printRunSummary(summary);
+    saveRunSummary({ summary, outputDir: options.outputDir, fileName });
+
+    printChangeSummary(report);
+    saveChangeReport({ report, outputDir: options.outputDir, fileName });
+    if (updateRows.length) {
+      saveToCSVAndExcel({
+        productRow: updateRows,
+        excel: options.excel,
+        csv: options.csv,
+        outputDir: options.outputDir,
+        fileName: `${fileName}_updates`,
+      });
+      logger.info(`✅ Saved ${updateRows.length} changed row(s) to ${fileName}_updates.`);
+    } else {
+      logger.info("✅ Nothing changed since the last run; no update file written.");
+    }
+    saveState(options.statePath, state);
+
+    return { fileName, outputDir: options.outputDir, summary };
+  } catch (err) {
+    runSummary.discard();
+    throw err;
+  }
+}
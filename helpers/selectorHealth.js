@@ -0,0 +1,64 @@
+// helpers/selectorHealth.js
+import { REQUIRED_SELECTOR_FIELDS } from "./constants.js";
+import { gotoWithRetries } from "./gotoWithRetries.js";
+import { queryFirst, resolveSelector, selectorList } from "./selectors.js";
+import { logger } from "./logger.js";
+
+/**
+ * Loads a sample product page and reports, for every logical field in the
+ * retailer's SELECTORS.PRODUCT and SELECTORS.BREADCRUMBS, which fallback
+ * selector resolved and how many elements it matched.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} url - Product page to check against.
+ * @param {import('./retailers/index.js').RetailerAdapter} retailer
+ * @returns {Promise<{results: object[], missingRequired: string[]}>}
+ */
+export async function checkSelectors(page, url, retailer) {
+  const { selectors: SELECTORS } = retailer;
+  await gotoWithRetries(page, url, 3, retailer.readySelectors);
+  await page.waitForTimeout(3000);
+
+  // The description drawer only renders its sections once opened
+  const descriptionButton = await queryFirst(page, SELECTORS.PRODUCT.DESCRIPTION_BUTTON);
+  if (descriptionButton && (await descriptionButton.isVisible())) {
+    await descriptionButton.click().catch(() => {});
+    await page.waitForTimeout(1000);
+  }
+
+  const fields = {
+    ...SELECTORS.PRODUCT,
+    BREADCRUMB_LINKS: SELECTORS.BREADCRUMBS.LINKS,
+  };
+  const results = [];
+  const resolvedKeys = new Set();
+
+  for (const [field, value] of Object.entries(fields)) {
+    const candidates = selectorList(value);
+    const resolved = await resolveSelector(page, value);
+    if (resolved) resolvedKeys.add(field);
+    results.push({
+      field,
+      status: resolved ? "ok" : "MISSING",
+      selector: resolved?.selector || "",
+      fallback: resolved ? `${candidates.indexOf(resolved.selector) + 1}/${candidates.length}` : `0/${candidates.length}`,
+      matches: resolved?.count || 0,
+    });
+  }
+
+  const missingRequired = Object.entries(REQUIRED_SELECTOR_FIELDS)
+    .filter(([, keys]) => !keys.some((key) => resolvedKeys.has(key)))
+    .map(([name]) => name);
+
+  logger.info(`\n🔎 Selector health for ${url} (${retailer.name})`, { results });
+  // The table is the report --check-selectors exists for, so it always goes
+  // to the terminal; the log file gets the results as fields above.
+  console.table(results);
+  if (missingRequired.length) {
+    logger.error(`❌ Required field(s) did not resolve: ${missingRequired.join(", ")}`, { missingRequired });
+  } else {
+    logger.info("✅ All required fields resolved.");
+  }
+
+  return { results, missingRequired };
+}
@@ -0,0 +1,79 @@
+// helpers/selectors.js
+//
+// Every logical field in SELECTORS can be a single selector or an ordered
+// list of fallbacks. These helpers try the list in order and use the first
+// selector that matches, so a markup change only needs a new entry appended.
+
+/**
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+export function selectorList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Joins all fallbacks into one CSS selector list, for waits where any
+ * match will do.
+ * @param {string|string[]} value
+ * @returns {string}
+ */
+export function anySelector(value) {
+  return selectorList(value).join(", ");
+}
+
+/**
+ * Finds the first fallback that matches at least one element.
+ * @param {import('playwright').Page|import('playwright').ElementHandle} scope
+ * @param {string|string[]} value
+ * @returns {Promise<{selector: string, count: number}|null>}
+ */
+export async function resolveSelector(scope, value) {
+  for (const selector of selectorList(value)) {
+    const count = (await scope.$$(selector).catch(() => [])).length;
+    if (count) return { selector, count };
+  }
+  return null;
+}
+
+/**
+ * @returns {Promise<import('playwright').ElementHandle|null>}
+ */
+export async function queryFirst(scope, value) {
+  for (const selector of selectorList(value)) {
+    const handle = await scope.$(selector).catch(() => null);
+    if (handle) return handle;
+  }
+  return null;
+}
+
+/**
+ * @returns {Promise<import('playwright').ElementHandle[]>} Matches of the
+ * first fallback that matches anything.
+ */
+export async function queryAll(scope, value) {
+  for (const selector of selectorList(value)) {
+    const handles = await scope.$$(selector).catch(() => []);
+    if (handles.length) return handles;
+  }
+  return [];
+}
+
+/**
+ * Runs `fn` on the first matching element.
+ * @returns {Promise<*>} The result, or null when no fallback matched.
+ */
+export async function evalFirst(scope, value, fn, arg) {
+  const handle = await queryFirst(scope, value);
+  return handle ? handle.evaluate(fn, arg) : null;
+}
+
+/**
+ * Runs `fn` on all elements matched by the first matching fallback.
+ * @returns {Promise<*>} The result, or [] when no fallback matched.
+ */
+export async function evalAll(scope, value, fn, arg) {
+  const resolved = await resolveSelector(scope, value);
+  return resolved ? scope.$$eval(resolved.selector, fn, arg) : [];
+}
@@ -0,0 +1,366 @@
+// helpers/shopify.js
+//
+// Pushes scraped products straight into a store through the Shopify Admin
+// GraphQL API, as an alternative to uploading the CSV by hand. Products are
+// matched by Handle and variants by SKU; each product is one `productSet`
+// call, so a product either syncs completely or is reported as failed.
+//
+// `productSet` replaces the product's variant list: store variants the scrape
+// didn't return (e.g. sizes the retailer dropped) are deleted. Only the two
+// option columns of the CSV are sent, so a product with a third option is
+// reported as failed instead of being pushed with its variants merged.
+
+import { groupRowsByHandle } from "./productModel.js";
+import { metafieldFromColumn } from "./attributes.js";
+import { REVIEW_METAFIELD_TYPES } from "./reviews.js";
+import { logger } from "./logger.js";
+
+export const DEFAULT_API_VERSION = "2024-10";
+
+const MAX_THROTTLE_RETRIES = 5;
+
+/**
+ * Reads the store connection from the environment (`.env` is loaded by
+ * index.js).
+ *
+ * - SHOPIFY_STORE_DOMAIN   e.g. my-store.myshopify.com
+ * - SHOPIFY_ADMIN_TOKEN    Admin API access token
+ * - SHOPIFY_API_VERSION    optional, defaults to {@link DEFAULT_API_VERSION}
+ * - SHOPIFY_LOCATION_ID    optional, inventory location (default: the first)
+ * - SHOPIFY_GRAPHQL_URL    optional, full endpoint (e.g. a local mock server)
+ *
+ * @param {object} [env]
+ * @returns {{endpoint: string, accessToken: string, locationId: string}}
+ */
+export function shopifyConfigFromEnv(env = process.env) {
+  const version = env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+  const endpoint =
+    env.SHOPIFY_GRAPHQL_URL ||
+    (env.SHOPIFY_STORE_DOMAIN
+      ? `https://${env.SHOPIFY_STORE_DOMAIN.replace(/^https?:\/\//, "").replace(/\/$/, "")}/admin/api/${version}/graphql.json`
+      : "");
+  return {
+    endpoint,
+    accessToken: env.SHOPIFY_ADMIN_TOKEN || "",
+    locationId: env.SHOPIFY_LOCATION_ID || "",
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimal Admin GraphQL client that follows Shopify's cost-based throttling:
+ * it waits when the last reported bucket cannot cover the next query, and
+ * retries THROTTLED responses (and HTTP 429) after the bucket has refilled.
+ *
+ * @param {{endpoint: string, accessToken: string, fetchImpl?: typeof fetch}} options
+ * @returns {{request: (query: string, variables?: object) => Promise<object>}}
+ */
+export function createShopifyClient({ endpoint, accessToken, fetchImpl = fetch }) {
+  if (!endpoint || !accessToken) {
+    throw new Error(
+      "Shopify push needs SHOPIFY_STORE_DOMAIN (or SHOPIFY_GRAPHQL_URL) and SHOPIFY_ADMIN_TOKEN."
+    );
+  }
+
+  // Last throttle status reported by Shopify, and the cost of the last query
+  // as a guess for the next one.
+  let bucket = null;
+  let lastCost = 0;
+
+  async function waitForBudget(cost) {
+    if (!bucket || bucket.currentlyAvailable >= cost) return;
+    const waitMs = Math.ceil(((cost - bucket.currentlyAvailable) / bucket.restoreRate) * 1000);
+    logger.info(`⏳ Shopify API budget low, waiting ${waitMs}ms.`);
+    await sleep(waitMs);
+  }
+
+  async function request(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForBudget(lastCost);
+
+      const response = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Shopify-Access-Token": accessToken,
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+
+      if (response.status === 429 && attempt < MAX_THROTTLE_RETRIES) {
+        const retryAfter = parseFloat(response.headers.get("retry-after")) || 1;
+        await sleep(retryAfter * 1000);
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`Shopify API responded ${response.status} ${response.statusText}`);
+      }
+
+      const payload = await response.json();
+      const cost = payload.extensions?.cost;
+      if (cost) {
+        bucket = cost.throttleStatus;
+        lastCost = cost.actualQueryCost ?? cost.requestedQueryCost ?? lastCost;
+      }
+
+      const throttled = payload.errors?.some((e) => e.extensions?.code === "THROTTLED");
+      if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+        lastCost = cost?.requestedQueryCost ?? lastCost;
+        await waitForBudget(lastCost);
+        continue;
+      }
+      if (payload.errors?.length) {
+        throw new Error(`Shopify API error: ${payload.errors.map((e) => e.message).join("; ")}`);
+      }
+      return payload.data;
+    }
+  }
+
+  return { request };
+}
+
+const FIND_PRODUCT_QUERY = `
+  query FindProduct($query: String!) {
+    products(first: 1, query: $query) {
+      nodes {
+        id
+        handle
+        media(first: 250) {
+          nodes { id ... on MediaImage { image { url } } }
+        }
+        variants(first: 250) { nodes { id sku } }
+      }
+    }
+  }
+`;
+
+const FIRST_LOCATION_QUERY = `
+  query FirstLocation {
+    locations(first: 1) { nodes { id } }
+  }
+`;
+
+const PRODUCT_SET_MUTATION = `
+  mutation ProductSet($input: ProductSetInput!) {
+    productSet(input: $input, synchronous: true) {
+      product { id handle }
+      userErrors { field message code }
+    }
+  }
+`;
+
+const isVariantRow = (row) => row["Variant Price"] !== undefined && row["Variant Price"] !== "";
+const moneyOrNull = (value) => (value === undefined || value === "" ? null : String(value));
+
+/**
+ * Compares a scraped image URL with a store image by file name: Shopify keeps
+ * the uploaded file's name on its CDN, but may change the extension (TIFF to
+ * JPEG) and appends a UUID when the name is already taken.
+ * @param {string} url
+ * @returns {string}
+ */
+export function imageFileKey(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    pathname = String(url || "");
+  }
+  let name = pathname.split("/").pop() || "";
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the name as it is written.
+  }
+  return name
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, "")
+    .replace(/_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/, "");
+}
+
+/**
+ * The `productSet` metafield for a metafield column of the first row, typed
+ * per column (see REVIEW_METAFIELD_TYPES); null for other columns and empty
+ * values.
+ * @param {string} column
+ * @param {*} value
+ * @returns {{namespace: string, key: string, type: string, value: string}|null}
+ */
+function metafieldInput(column, value) {
+  const field = metafieldFromColumn(column);
+  if (!field || value === undefined || value === null || value === "") return null;
+  const { type, toValue } = REVIEW_METAFIELD_TYPES[column] || {
+    type: "single_line_text_field",
+    toValue: String,
+  };
+  const apiValue = toValue(value);
+  return apiValue === null ? null : { ...field, type, value: apiValue };
+}
+
+/**
+ * Builds the `productSet` input for one product's rows.
+ *
+ * @param {object[]} rows - Rows of a single product, as written to the CSV.
+ * @param {{existing?: {id: string, media?: {nodes: Array<{id: string, image?: {url: string}}>}, variants: {nodes: Array<{id: string, sku: string}>}}, locationId?: string}} [options]
+ * - `existing` is the store's product with the same handle: its id and the
+ * ids of variants whose SKU matches are reused. Images the store already has
+ * (matched by {@link imageFileKey}) are referenced by their media id and only
+ * new ones are uploaded, so re-runs don't create duplicates; store media the
+ * scrape doesn't know about is kept.
+ * Throws for a product with more than two options.
+ * @returns {object} ProductSetInput
+ */
+export function buildProductSetInput(rows, { existing = null, locationId = "" } = {}) {
+  const [first] = rows;
+  if (first["Option3 Name"]) {
+    throw new Error(`has a third option ("${first["Option3 Name"]}"); only two are pushed`);
+  }
+  const variantRows = rows.filter(isVariantRow);
+  const optionNames = [first["Option1 Name"], first["Option2 Name"]].filter(Boolean);
+  const hasOptions = optionNames.length > 0;
+
+  const productOptions = hasOptions
+    ? optionNames.map((name, i) => {
+        const column = `Option${i + 1} Value`;
+        const values = [...new Set(variantRows.map((row) => row[column]).filter(Boolean))];
+        return { name, position: i + 1, values: values.map((value) => ({ name: value })) };
+      })
+    : [{ name: "Title", position: 1, values: [{ name: "Default Title" }] }];
+
+  const existingIdBySku = new Map(
+    (existing?.variants?.nodes || []).filter((v) => v.sku).map((v) => [v.sku, v.id])
+  );
+  const existingMediaIds = new Map(
+    (existing?.media?.nodes || [])
+      .map((media) => [imageFileKey(media.image?.url || ""), media.id])
+      .filter(([key]) => key)
+  );
+  const imageFile = (src, alt) => {
+    const id = existingMediaIds.get(imageFileKey(src));
+    return id ? { id } : { originalSource: src, contentType: "IMAGE", alt };
+  };
+
+  const variants = variantRows.map((row) => {
+    const sku = row["Variant SKU"] || "";
+    const tracked = !!row["Variant Inventory Tracker"];
+    const variant = {
+      optionValues: hasOptions
+        ? optionNames.map((optionName, i) => ({ optionName, name: row[`Option${i + 1} Value`] }))
+        : [{ optionName: "Title", name: "Default Title" }],
+      sku,
+      price: moneyOrNull(row["Variant Price"]),
+      compareAtPrice: moneyOrNull(row["Variant Compare At Price"]),
+      inventoryPolicy: row["Variant Inventory Policy"] === "continue" ? "CONTINUE" : "DENY",
+      inventoryItem: { tracked, cost: moneyOrNull(row["Cost per item"]) },
+    };
+    if (row["Variant Barcode"]) variant.barcode = String(row["Variant Barcode"]);
+    if (existingIdBySku.has(sku)) variant.id = existingIdBySku.get(sku);
+    if (tracked && locationId && row["Variant Inventory Qty"] !== "") {
+      variant.inventoryQuantities = [
+        { locationId, name: "available", quantity: Number(row["Variant Inventory Qty"]) || 0 },
+      ];
+    }
+    if (row["Variant Image"]) variant.file = imageFile(row["Variant Image"], first.Title);
+    return variant;
+  });
+
+  const input = {
+    handle: first.Handle,
+    title: first.Title,
+    descriptionHtml: first["Body (HTML)"] || "",
+    vendor: first.Vendor || "",
+    productType: first.Type || "",
+    tags: (first.Tags || "").split(",").map((t) => t.trim()).filter(Boolean),
+    productOptions,
+    variants,
+  };
+  const metafields = Object.entries(first)
+    .map(([column, value]) => metafieldInput(column, value))
+    .filter(Boolean);
+  if (metafields.length) input.metafields = metafields;
+  if (existing) input.id = existing.id;
+  const files = rows
+    .filter((row) => row["Image Src"])
+    .sort((a, b) => (a["Image Position"] || 0) - (b["Image Position"] || 0))
+    .map((row) => imageFile(row["Image Src"], row["Image Alt Text"] || first.Title));
+  // productSet replaces the product's media with this list.
+  const referenced = new Set(files.map((file) => file.id).filter(Boolean));
+  for (const id of existingMediaIds.values()) {
+    if (!referenced.has(id)) files.push({ id });
+  }
+  if (files.length) input.files = files;
+  return input;
+}
+
+/**
+ * Creates or updates every product in the store, one at a time.
+ *
+ * In dry-run mode nothing is sent: the planned inputs are returned (built as
+ * if every product were new) so they can be reviewed.
+ *
+ * @param {object[]} rows - All rows of the run.
+ * @param {{client?: object, locationId?: string, dryRun?: boolean}} options
+ * @returns {Promise<{pushed: Array<{handle: string, id: string, action: string}>, failed: Array<{url: string, handle: string, error: string}>, planned: object[]}>}
+ * `failed` entries use the failed-URLs file format so they can be retried.
+ */
+export async function pushToShopify(rows, { client, locationId = "", dryRun = false }) {
+  const products = groupRowsByHandle(rows);
+  const pushed = [];
+  const failed = [];
+  const planned = [];
+
+  if (dryRun) {
+    for (const productRows of products) {
+      const { Handle: handle, original_product_url: url = "" } = productRows[0];
+      try {
+        planned.push(buildProductSetInput(productRows, { locationId: locationId || "<first location>" }));
+      } catch (err) {
+        logger.error(`❌ Shopify push would fail for ${handle}: ${err.message}`);
+        failed.push({ url, handle, error: `Shopify push: ${err.message}` });
+      }
+    }
+    logger.info(`🧪 Dry run: ${planned.length} product(s) would be pushed to Shopify.`);
+    return { pushed, failed, planned };
+  }
+
+  if (!locationId) {
+    try {
+      const data = await client.request(FIRST_LOCATION_QUERY);
+      locationId = data.locations.nodes[0]?.id || "";
+    } catch (err) {
+      // Nothing can be pushed without a working connection.
+      logger.error(`❌ Shopify push failed: ${err.message}`);
+      for (const [{ Handle: handle, original_product_url: url = "" }] of products) {
+        failed.push({ url, handle, error: `Shopify push: ${err.message}` });
+      }
+      return { pushed, failed, planned };
+    }
+    if (!locationId) logger.warn("⚠️ No Shopify location found; inventory quantities are not set.");
+  }
+
+  for (const [index, productRows] of products.entries()) {
+    const { Handle: handle, original_product_url: url = "" } = productRows[0];
+    try {
+      const found = await client.request(FIND_PRODUCT_QUERY, { query: `handle:'${handle}'` });
+      const existing = found.products.nodes.find((p) => p.handle === handle) || null;
+      const input = buildProductSetInput(productRows, { existing, locationId });
+
+      const data = await client.request(PRODUCT_SET_MUTATION, { input });
+      const { product, userErrors } = data.productSet;
+      if (userErrors?.length) {
+        throw new Error(
+          userErrors.map((e) => `${(e.field || []).join(".")}: ${e.message}`).join("; ")
+        );
+      }
+      const action = existing ? "updated" : "created";
+      pushed.push({ handle, id: product.id, action });
+      logger.info(`🛒 ${action} ${handle} in Shopify (${index + 1}/${products.length}).`);
+    } catch (err) {
+      logger.error(`❌ Shopify push failed for ${handle}: ${err.message}`);
+      failed.push({ url, handle, error: `Shopify push: ${err.message}` });
+    }
+  }
+
+  return { pushed, failed, planned };
+}
@@ -0,0 +1,93 @@
+// helpers/sku.js
+
+/**
+ * Default variant SKU pattern. Tokens:
+ *   {id}       product ID from the URL (the retailer adapter's productId)
+ *   {handle}   product handle
+ *   {option1}  normalized Option1 value (e.g. color)
+ *   {option2}  normalized Option2 value (e.g. size)
+ *   {options}  all normalized option values joined with "-"
+ *   {sku}      the retailer's own variant SKU from structured data, or
+ *              {id}-{options} when the page doesn't give one
+ */
+export const DEFAULT_SKU_PATTERN = "{id}-{options}";
+
+let skuPattern = DEFAULT_SKU_PATTERN;
+
+export function setSkuPattern(pattern) {
+  skuPattern = pattern || DEFAULT_SKU_PATTERN;
+}
+
+/**
+ * Turns an option value into a SKU-safe code: "Red Muse Satin" → "RED-MUSE-SATIN",
+ * "7.5 M" → "7-5-M".
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeSkuCode(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Builds a deterministic variant SKU from the product ID and option values.
+ * Empty tokens are dropped together with their separators.
+ * @param {{id: string, handle?: string, options?: string[], sku?: string}} parts
+ * @param {string} [pattern]
+ * @returns {string}
+ */
+export function buildVariantSku({ id, handle = "", options = [], sku = "" }, pattern = skuPattern) {
+  const codes = options.map(normalizeSkuCode);
+  const tokens = {
+    id,
+    handle,
+    option1: codes[0] || "",
+    option2: codes[1] || "",
+    options: codes.filter(Boolean).join("-"),
+  };
+  tokens.sku = normalizeSkuCode(sku) || [id, tokens.options].filter(Boolean).join("-");
+  return pattern
+    .replace(/\{(\w+)\}/g, (_, name) => tokens[name] ?? "")
+    .replace(/([-_/.])\1+/g, "$1")
+    .replace(/^[-_/.]+|[-_/.]+$/g, "");
+}
+
+/**
+ * Sets a unique SKU on every variant of one product from the active pattern.
+ * The retailer's own SKU, when the adapter found one, is the variant's
+ * `sourceSku`.
+ * @param {import('./productModel.js').Product} product - Mutated.
+ * @returns {import('./productModel.js').Product} The same product.
+ */
+export function assignVariantSkus(product) {
+  for (const variant of product.variants) {
+    variant.sku = buildVariantSku({
+      id: product.id,
+      handle: product.handle,
+      options: Object.values(variant.options).filter(Boolean),
+      sku: variant.sourceSku,
+    });
+  }
+  return product;
+}
+
+/**
+ * Lists SKUs that appear on more than one row.
+ * @param {object[]} rows
+ * @returns {Array<{sku: string, count: number}>}
+ */
+export function findSkuCollisions(rows) {
+  const counts = new Map();
+  for (const row of rows) {
+    const sku = row["Variant SKU"];
+    if (!sku) continue;
+    counts.set(sku, (counts.get(sku) || 0) + 1);
+  }
+  return [...counts]
+    .filter(([, count]) => count > 1)
+    .map(([sku, count]) => ({ sku, count }));
+}
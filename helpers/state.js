@@ -0,0 +1,240 @@
+// helpers/state.js
+//
+// Keeps what each product looked like on the last run (price, compare-at,
+// stock and image per variant) so a re-run can report what changed and
+// export only the products that need updating in the store.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { checkpointKey } from "./checkpoint.js";
+import { logger } from "./logger.js";
+
+const STATE_VERSION = 1;
+
+/**
+ * Reads the state file; a missing file is an empty state (first run). A file
+ * that isn't a state this version can read throws, so a run stops before it
+ * scrapes anything instead of overwriting it at the end.
+ * @param {string} statePath
+ * @returns {{version: number, updatedAt: string, products: object}}
+ */
+export function loadState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return { version: STATE_VERSION, updatedAt: "", products: {} };
+  }
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`State file ${statePath} is not valid JSON: ${err.message}`);
+  }
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(state) || (state.products !== undefined && !isObject(state.products))) {
+    throw new Error(`State file ${statePath} has no "products" object`);
+  }
+  if (state.version > STATE_VERSION) {
+    throw new Error(`State file ${statePath} is version ${state.version}; this version reads up to ${STATE_VERSION}`);
+  }
+  return { version: STATE_VERSION, updatedAt: "", ...state, products: state.products || {} };
+}
+
+/**
+ * Writes the state through a temporary file so a crash never leaves a
+ * half-written state behind.
+ * @param {string} statePath
+ * @param {object} state
+ */
+export function saveState(statePath, state) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tmpPath = `${statePath}.tmp`;
+  fs.writeFileSync(
+    tmpPath,
+    JSON.stringify({ ...state, version: STATE_VERSION, updatedAt: new Date().toISOString() }, null, 2),
+    "utf-8"
+  );
+  fs.renameSync(tmpPath, statePath);
+}
+
+/**
+ * Short hash of an image URL. It changes when the retailer serves a different
+ * file name, not when the image at the same URL is replaced.
+ * @param {string} src
+ * @returns {string}
+ */
+export function hashImageUrl(src) {
+  return src ? crypto.createHash("sha1").update(src).digest("hex").slice(0, 16) : "";
+}
+
+/**
+ * Variant key within a product: its option values, which stay the same when
+ * the SKU pattern changes between runs.
+ * @param {object} row
+ * @returns {string}
+ */
+export function variantKey(row) {
+  return [row["Option1 Value"], row["Option2 Value"]].filter(Boolean).join(" / ") || "Default Title";
+}
+
+const isVariantRow = (row) => row["Variant Price"] !== undefined && row["Variant Price"] !== "";
+
+/**
+ * Reduces a product's rows to what the state store keeps.
+ * @param {object[]} rows - Rows of a single product.
+ * @returns {{id: string, title: string, url: string, variants: object}}
+ */
+export function snapshotProduct(rows) {
+  const [first] = rows;
+  const url = first.original_product_url || "";
+  const variants = {};
+  for (const row of rows.filter(isVariantRow)) {
+    const qty = Number(row["Variant Inventory Qty"]);
+    variants[variantKey(row)] = {
+      sku: row["Variant SKU"] || "",
+      price: row["Variant Price"] || "",
+      compareAt: row["Variant Compare At Price"] || "",
+      available: !(qty === 0),
+      imageUrlHash: hashImageUrl(row["Variant Image"]),
+    };
+  }
+  return { id: checkpointKey(url || first.Handle), title: first.Title || "", url, variants };
+}
+
+function emptyReport() {
+  return {
+    newProducts: [],
+    newVariants: [],
+    removedVariants: [],
+    priceIncreases: [],
+    priceDecreases: [],
+    compareAtChanges: [],
+    backInStock: [],
+    outOfStock: [],
+    imageChanges: [],
+  };
+}
+
+/**
+ * Compares this run's products against the stored state.
+ *
+ * Products that were not scraped this run (failed, or not in the input) are
+ * left untouched in the state and are not reported as removed. The same
+ * goes for variants whose row was scraped but rejected by validation: they
+ * still exist on the site, so their last known state is kept.
+ *
+ * @param {object} state - From {@link loadState}.
+ * @param {object[][]} products - One array of rows per scraped product.
+ * @param {{rejectedRows?: Array<{row: object}>}} [options] - Rows validation
+ * took out of this run.
+ * @returns {{report: object, updateRows: object[], state: object}} The change
+ * report, every row of each new or changed product (a complete row set, as
+ * the Shopify import needs it) and the state to save for the next run.
+ */
+export function diffAgainstState(state, products, { rejectedRows = [] } = {}) {
+  const report = emptyReport();
+  const updateRows = [];
+  const nextProducts = { ...state.products };
+  const rejectedKeys = new Set(
+    rejectedRows.filter(({ row }) => isVariantRow(row)).map(({ row }) => `${row.Handle}|${variantKey(row)}`)
+  );
+
+  for (const rows of products) {
+    if (!rows.length) continue;
+    const snapshot = snapshotProduct(rows);
+    const previous = state.products[snapshot.id];
+    nextProducts[snapshot.id] = snapshot;
+    const ref = { id: snapshot.id, title: snapshot.title, url: snapshot.url };
+
+    if (!previous) {
+      report.newProducts.push({ ...ref, variants: Object.keys(snapshot.variants).length });
+      updateRows.push(...rows);
+      continue;
+    }
+
+    let changed = false;
+    for (const row of rows.filter(isVariantRow)) {
+      const key = variantKey(row);
+      const now = snapshot.variants[key];
+      const before = previous.variants[key];
+      const variantRef = { ...ref, variant: key, sku: now.sku };
+
+      if (!before) {
+        report.newVariants.push(variantRef);
+        changed = true;
+        continue;
+      }
+
+      const from = parseFloat(before.price);
+      const to = parseFloat(now.price);
+      if (from !== to && !isNaN(from) && !isNaN(to)) {
+        (to > from ? report.priceIncreases : report.priceDecreases).push({ ...variantRef, from: before.price, to: now.price });
+        changed = true;
+      }
+      if (before.compareAt !== now.compareAt) {
+        report.compareAtChanges.push({ ...variantRef, from: before.compareAt, to: now.compareAt });
+        changed = true;
+      }
+      if (before.available !== now.available) {
+        (now.available ? report.backInStock : report.outOfStock).push(variantRef);
+        changed = true;
+      }
+      // States written before the rename call the same hash imageHash.
+      if ((before.imageUrlHash ?? before.imageHash) !== now.imageUrlHash) {
+        report.imageChanges.push(variantRef);
+        changed = true;
+      }
+    }
+
+    for (const [key, before] of Object.entries(previous.variants)) {
+      if (snapshot.variants[key]) continue;
+      if (rejectedKeys.has(`${rows[0].Handle}|${key}`)) {
+        snapshot.variants[key] = before;
+        continue;
+      }
+      report.removedVariants.push({ ...ref, variant: key, sku: before.sku });
+      changed = true;
+    }
+    if (changed) updateRows.push(...rows);
+  }
+
+  return { report, updateRows, state: { ...state, products: nextProducts } };
+}
+
+/**
+ * Puts back the last run's state of the products whose push failed (or
+ * drops them if they are new), so the next run reports their changes again.
+ * @param {object} state - From {@link diffAgainstState}.
+ * @param {object} previousState - From {@link loadState}.
+ * @param {Array<{url?: string, handle?: string}>} failed - Push failures.
+ * @returns {object} The state to save.
+ */
+export function revertFailedProducts(state, previousState, failed) {
+  const products = { ...state.products };
+  for (const { url, handle } of failed) {
+    const id = checkpointKey(url || handle);
+    if (previousState.products[id]) products[id] = previousState.products[id];
+    else delete products[id];
+  }
+  return { ...state, products };
+}
+
+/**
+ * Prints a one-line count per change type.
+ * @param {object} report - From {@link diffAgainstState}.
+ */
+export function printChangeSummary(report) {
+  const labels = {
+    newProducts: "🆕 New products",
+    newVariants: "➕ New variants",
+    removedVariants: "➖ Removed variants",
+    priceIncreases: "📈 Price increases",
+    priceDecreases: "📉 Price decreases",
+    compareAtChanges: "🏷️ Compare-at changes",
+    backInStock: "✅ Back in stock",
+    outOfStock: "🚫 Out of stock",
+    imageChanges: "🖼️ Image changes",
+  };
+  logger.info("\n📊 Changes since the last run:");
+  for (const [key, label] of Object.entries(labels)) {
+    logger.info(`  ${label}: ${report[key].length}`);
+  }
+}
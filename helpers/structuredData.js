@@ -0,0 +1,226 @@
+// helpers/structuredData.js
+
+import { logger } from "./logger.js";
+
+// Window globals that single-page storefronts commonly hydrate from.
+const STATE_GLOBALS = ["__INITIAL_STATE__", "__PRELOADED_STATE__", "__NEXT_DATA__"];
+
+/**
+ * Reads every JSON-LD block and embedded state JSON from the page in one
+ * round trip. Blocks that fail to parse are skipped.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{jsonLd: object[], states: object[]}>}
+ */
+export async function readStructuredData(page) {
+  return page.evaluate((globals) => {
+    const parse = (text) => {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return null;
+      }
+    };
+    const jsonLd = [...document.querySelectorAll('script[type="application/ld+json"]')]
+      .map((el) => parse(el.textContent))
+      .filter(Boolean);
+    const states = [...document.querySelectorAll('script[type="application/json"]')]
+      .map((el) => parse(el.textContent))
+      .filter(Boolean);
+    for (const name of globals) {
+      if (window[name] && typeof window[name] === "object") {
+        states.push(JSON.parse(JSON.stringify(window[name])));
+      }
+    }
+    return { jsonLd, states };
+  }, STATE_GLOBALS);
+}
+
+/**
+ * Extracts the product and its full variant matrix from structured data.
+ * A retailer's embedded state (read by its `stateParsers`) is preferred
+ * because it usually carries UPCs and per-color imagery; JSON-LD offers are
+ * used when no state is recognized.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{stateParsers?: Array<(state: object) => StructuredProduct|null>}} [options]
+ * @returns {Promise<StructuredProduct|null>} null when the page has no usable
+ * structured product data and the caller should fall back to the DOM.
+ */
+export async function extractStructuredProduct(page, options = {}) {
+  let data;
+  try {
+    data = await readStructuredData(page);
+  } catch (error) {
+    logger.warn("⚠️ Could not read structured data:", error.message, { field: "structuredData" });
+    return null;
+  }
+  return parseStructuredProduct(data, options);
+}
+
+/**
+ * @typedef {Object} StructuredVariant
+ * @property {string} color
+ * @property {string} size
+ * @property {string} sku
+ * @property {string} upc
+ * @property {string} price - Current selling price as shown on the page.
+ * @property {string} regularPrice - Original (non-sale) price, if any.
+ * @property {string} availability - "in_stock", "low_stock" or "unavailable".
+ * @property {string} image - First image of the variant's color.
+ */
+
+/**
+ * @typedef {Object} StructuredProduct
+ * @property {string} name
+ * @property {string} brand
+ * @property {string} description
+ * @property {string[]} breadcrumbs
+ * @property {string[]} images - Product-level images.
+ * @property {Object<string, string[]>} colorImages - Images per color name.
+ * @property {StructuredVariant[]} variants
+ */
+
+/**
+ * Pure part of {@link extractStructuredProduct}, split out so it can run on
+ * saved page data.
+ * @param {{jsonLd: object[], states: object[]}} data
+ * @param {{stateParsers?: Array<(state: object) => StructuredProduct|null>}} [options]
+ * @returns {StructuredProduct|null}
+ */
+export function parseStructuredProduct({ jsonLd = [], states = [] }, { stateParsers = [] } = {}) {
+  const ldProduct = jsonLd.flatMap(findJsonLdNodes).find(isProductNode);
+  const breadcrumbs = parseJsonLdBreadcrumbs(jsonLd);
+
+  let product = null;
+  for (const state of states) {
+    for (const parseState of stateParsers) {
+      product = parseState(state);
+      if (product) break;
+    }
+    if (product) break;
+  }
+  if (!product && ldProduct) {
+    product = parseJsonLdProduct(ldProduct);
+  }
+  if (!product || !product.variants.length) return null;
+
+  // JSON-LD is usually the cleaner source for the product-level text fields.
+  if (ldProduct) {
+    product.name = product.name || textOf(ldProduct.name);
+    product.brand = product.brand || textOf(ldProduct.brand?.name ?? ldProduct.brand);
+    product.description = product.description || textOf(ldProduct.description);
+    if (!product.images.length) product.images = toArray(ldProduct.image).map(imageUrl);
+  }
+  product.breadcrumbs = breadcrumbs;
+  return product;
+}
+
+// ---------- JSON-LD ----------
+
+function findJsonLdNodes(node) {
+  if (Array.isArray(node)) return node.flatMap(findJsonLdNodes);
+  if (!node || typeof node !== "object") return [];
+  return [node, ...(node["@graph"] ? findJsonLdNodes(node["@graph"]) : [])];
+}
+
+function hasType(node, type) {
+  return toArray(node["@type"]).includes(type);
+}
+
+function isProductNode(node) {
+  return hasType(node, "Product") || hasType(node, "ProductGroup");
+}
+
+function parseJsonLdBreadcrumbs(jsonLd) {
+  const list = jsonLd.flatMap(findJsonLdNodes).find((n) => hasType(n, "BreadcrumbList"));
+  if (!list) return [];
+  return toArray(list.itemListElement)
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+    .map((item) => textOf(item.name ?? item.item?.name))
+    .filter((name) => name && name.toLowerCase() !== "home");
+}
+
+function parseJsonLdProduct(node) {
+  const images = toArray(node.image).map(imageUrl).filter(Boolean);
+  const colorImages = {};
+  const variants = [];
+
+  // ProductGroup: one Product per variant in hasVariant
+  const variantNodes = toArray(node.hasVariant);
+  const sources = variantNodes.length
+    ? variantNodes.flatMap((variant) =>
+        toArray(variant.offers).flatMap(expandOffers).map((offer) => ({ variant, offer }))
+      )
+    : toArray(node.offers).flatMap(expandOffers).map((offer) => ({ variant: node, offer }));
+
+  for (const { variant, offer } of sources) {
+    const item = offer.itemOffered || {};
+    const color = textOf(item.color ?? offer.color ?? variant.color);
+    const size = textOf(item.size ?? offer.size ?? variant.size);
+    const image = imageUrl(toArray(item.image ?? variant.image)[0]) || "";
+    if (color && image) {
+      colorImages[color] = colorImages[color] || [];
+      if (!colorImages[color].includes(image)) colorImages[color].push(image);
+    }
+    variants.push({
+      color,
+      size,
+      sku: textOf(offer.sku ?? offer.SKU ?? variant.sku),
+      upc: textOf(
+        offer.gtin12 ?? offer.gtin13 ?? offer.gtin ?? variant.gtin12 ?? variant.gtin13 ?? variant.gtin
+      ),
+      price: textOf(offer.price ?? offer.lowPrice),
+      regularPrice: textOf(
+        toArray(offer.priceSpecification).find((spec) =>
+          /ListPrice|StrikethroughPrice/i.test(spec.priceType || "")
+        )?.price
+      ),
+      availability: normalizeSchemaAvailability(offer.availability),
+      image,
+    });
+  }
+
+  return {
+    name: textOf(node.name),
+    brand: textOf(node.brand?.name ?? node.brand),
+    description: textOf(node.description),
+    breadcrumbs: [],
+    images,
+    colorImages,
+    variants: variants.filter((v) => v.price),
+  };
+}
+
+function expandOffers(offer) {
+  if (!offer || typeof offer !== "object") return [];
+  if (hasType(offer, "AggregateOffer") && offer.offers) {
+    return toArray(offer.offers).flatMap(expandOffers);
+  }
+  return [offer];
+}
+
+function normalizeSchemaAvailability(value) {
+  const text = textOf(value).toLowerCase();
+  if (!text) return "";
+  if (/limitedavailability/.test(text)) return "low_stock";
+  if (/instock|onlineonly|instoreonly|preorder/.test(text)) return "in_stock";
+  return "unavailable";
+}
+
+// ---------- shared ----------
+
+export function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export function textOf(value) {
+  if (value === undefined || value === null) return "";
+  return String(value).trim();
+}
+
+export function imageUrl(image) {
+  if (!image) return "";
+  if (typeof image === "string") return image;
+  return textOf(image.url ?? image.contentUrl);
+}
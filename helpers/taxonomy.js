@@ -0,0 +1,62 @@
+// helpers/taxonomy.js
+import fs from "fs";
+import { logger } from "./logger.js";
+
+/**
+ * Default breadcrumb → Shopify product Type table. Rules are tried in order
+ * against each breadcrumb, most specific (last) breadcrumb first.
+ */
+export const DEFAULT_TAXONOMY = {
+  defaultType: "",
+  rules: [
+    { keywords: ["sneakers", "sandals", "boots", "heels", "pumps", "flats", "loafers", "slippers", "shoes"], type: "Footwear" },
+    { keywords: ["handbags", "purses", "wallets", "backpacks", "bags", "totes"], type: "Bags" },
+    { keywords: ["dresses", "gowns", "jumpsuits", "rompers"], type: "Dresses" },
+    { keywords: ["watches"], type: "Watches" },
+    { keywords: ["jewelry", "necklaces", "earrings", "bracelets", "rings"], type: "Jewelry" },
+    { keywords: ["fragrance", "perfume", "cologne", "makeup", "skin care", "beauty"], type: "Beauty" },
+    { keywords: ["bedding", "bath", "towels", "kitchen", "dining", "furniture", "rugs", "home decor", "home"], type: "Home" },
+    { keywords: ["swimwear", "activewear", "tops", "shirts", "sweaters", "jeans", "pants", "shorts", "skirts", "jackets", "coats", "clothing"], type: "Apparel" },
+  ],
+};
+
+let activeTaxonomy = DEFAULT_TAXONOMY;
+
+/**
+ * Loads a taxonomy JSON file ({ defaultType, rules: [{ keywords, type }] })
+ * and makes it the active table.
+ * @param {string} taxonomyPath
+ */
+export function loadTaxonomy(taxonomyPath) {
+  const fileTaxonomy = JSON.parse(fs.readFileSync(taxonomyPath, "utf-8"));
+  activeTaxonomy = { ...DEFAULT_TAXONOMY, ...fileTaxonomy };
+  logger.info(`🗂️ Loaded taxonomy from ${taxonomyPath} (${activeTaxonomy.rules.length} rule(s)).`);
+  return activeTaxonomy;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Maps a product's breadcrumbs to a Shopify product Type.
+ * @param {string|string[]} breadcrumbs - Breadcrumb names, or the
+ * comma-separated string returned by extractBreadcrumbs.
+ * @returns {string} The matched type, or the taxonomy's defaultType.
+ */
+export function inferProductType(breadcrumbs) {
+  const crumbs = (Array.isArray(breadcrumbs) ? breadcrumbs : breadcrumbs.split(","))
+    .map((c) => c.trim())
+    .filter(Boolean)
+    .reverse();
+
+  for (const crumb of crumbs) {
+    for (const rule of activeTaxonomy.rules) {
+      const hit = rule.keywords.some((keyword) =>
+        new RegExp(`\\b${escapeRegExp(keyword)}\\b`, "i").test(crumb)
+      );
+      if (hit) return rule.type;
+    }
+  }
+  return activeTaxonomy.defaultType;
+}
@@ -0,0 +1,201 @@
+// helpers/validation.js
+//
+// Lints rows against Shopify's product CSV import rules before anything is
+// written. Rows that would fail the import (or import wrongly) are taken
+// out with a reason, so the export only holds rows Shopify accepts and the
+// rejected ones can be fixed and re-imported from their own file.
+
+import { groupRowsByHandle, optionsFromVariants } from "./productModel.js";
+
+// Lowercase letters, digits and single hyphens, as Shopify generates them.
+const HANDLE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_HANDLE_LENGTH = 255;
+const OPTION_SLOTS = [1, 2, 3];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+const isMoney = (value) => /^\d+(\.\d+)?$/.test(String(value).trim());
+
+// A variant row carries a price, a SKU or an option value; anything else is
+// an image-only row.
+const isVariantRow = (row) =>
+  !isBlank(row["Variant Price"]) ||
+  !isBlank(row["Variant SKU"]) ||
+  OPTION_SLOTS.some((n) => !isBlank(row[`Option${n} Value`]));
+
+/**
+ * Why a single variant row can't be imported, given the product's option
+ * names (taken from its first row).
+ * @param {object} row
+ * @param {string[]} optionNames
+ * @returns {string} Empty when the row is fine.
+ */
+function variantRowProblem(row, optionNames) {
+  for (const n of OPTION_SLOTS) {
+    const name = row[`Option${n} Name`];
+    const expected = optionNames[n - 1];
+    if (!isBlank(name) && name !== expected) {
+      return `Option${n} Name "${name}" differs from the product's "${expected || ""}"`;
+    }
+    if (expected && isBlank(row[`Option${n} Value`])) return `Blank Option${n} Value`;
+    if (!expected && !isBlank(row[`Option${n} Value`])) {
+      return `Option${n} Value without an Option${n} Name`;
+    }
+  }
+  if (isBlank(row["Variant Price"])) return "Empty Variant Price";
+  if (!isMoney(row["Variant Price"])) return `Variant Price "${row["Variant Price"]}" is not a number`;
+  const compareAt = row["Variant Compare At Price"];
+  if (!isBlank(compareAt) && !isMoney(compareAt)) {
+    return `Variant Compare At Price "${compareAt}" is not a number`;
+  }
+  if (!isBlank(row["Cost per item"]) && !isMoney(row["Cost per item"])) {
+    return `Cost per item "${row["Cost per item"]}" is not a number`;
+  }
+  return "";
+}
+
+// "Red / 7": a variant row's option values, as the key of its combination.
+const optionCombination = (row) =>
+  OPTION_SLOTS.map((n) => String(row[`Option${n} Value`] || ""))
+    .filter(Boolean)
+    .join(" / ");
+
+// What is left of a rejected variant row that carried a gallery image, so the
+// gallery keeps its positions.
+function imageOnlyRow(row) {
+  return {
+    Handle: row.Handle,
+    "Image Src": row["Image Src"],
+    "Image Position": row["Image Position"],
+    "Image Alt Text": row["Image Alt Text"] || "",
+  };
+}
+
+/**
+ * Validates the rows of one product.
+ *
+ * Product-level problems (bad Handle, no Title on the first row, no variant
+ * left) reject every row of the product; variant-level problems (blank or
+ * inconsistent options, duplicate option combinations or SKUs, bad prices)
+ * reject just that row. A rejected variant row's gallery image stays behind
+ * on an image-only row.
+ *
+ * @param {object[]} rows - Rows of a single product, first row first.
+ * @param {Map<string, string>} [takenSkus] - SKUs already used by earlier
+ * products of the run, mapped to their handle.
+ * @returns {{valid: object[], rejected: Array<{row: object, reason: string}>}}
+ */
+export function validateProductRows(rows, takenSkus = new Map()) {
+  const [first] = rows;
+  const rejectAll = (reason) => ({ valid: [], rejected: rows.map((row) => ({ row, reason })) });
+
+  const handle = String(first.Handle || "");
+  if (!handle) return rejectAll("Empty Handle");
+  if (!HANDLE_PATTERN.test(handle) || handle.length > MAX_HANDLE_LENGTH) {
+    return rejectAll(`Invalid Handle "${handle}" (use lowercase letters, digits and hyphens)`);
+  }
+  if (isBlank(first.Title)) return rejectAll("Empty Title on the product's first row");
+
+  const optionNames = OPTION_SLOTS.map((n) => first[`Option${n} Name`] || "");
+  if (optionNames.some((name, i) => name && optionNames.indexOf(name) !== i)) {
+    return rejectAll(`Duplicate option names: ${optionNames.filter(Boolean).join(", ")}`);
+  }
+
+  const valid = [];
+  const rejected = [];
+  const seenCombinations = new Set();
+  const seenSkus = new Set();
+  const reject = (row, reason) => {
+    rejected.push({ row, reason });
+    if (row !== first && !isBlank(row["Image Src"])) valid.push(imageOnlyRow(row));
+  };
+  for (const row of rows) {
+    if (!isVariantRow(row)) {
+      if (row === first || !isBlank(row["Image Src"])) valid.push(row);
+      else rejected.push({ row, reason: "Row has neither a variant nor an image" });
+      continue;
+    }
+    const problem = variantRowProblem(row, optionNames);
+    if (problem) {
+      reject(row, problem);
+      continue;
+    }
+    const combination = optionCombination(row);
+    if (seenCombinations.has(combination)) {
+      reject(row, `Duplicate option combination "${combination || "Default Title"}"`);
+      continue;
+    }
+    const sku = String(row["Variant SKU"] || "").trim();
+    if (sku && (seenSkus.has(sku) || takenSkus.has(sku))) {
+      reject(row, `Duplicate Variant SKU "${sku}" (also on ${takenSkus.get(sku) || handle})`);
+      continue;
+    }
+    seenCombinations.add(combination);
+    if (sku) seenSkus.add(sku);
+    valid.push(row);
+  }
+
+  // The first row holds the product's Title and Body; without it (or without
+  // any variant) the remaining rows can't be imported on their own.
+  const firstProblem = rejected.find((entry) => entry.row === first);
+  if (firstProblem) {
+    return {
+      valid: [],
+      rejected: rows.map((row) => rejected.find((entry) => entry.row === row) || {
+        row,
+        reason: `Product's first row was rejected: ${firstProblem.reason}`,
+      }),
+    };
+  }
+  if (!valid.some(isVariantRow)) {
+    return {
+      valid: [],
+      rejected: [
+        ...rejected,
+        ...valid.map((row) => ({ row, reason: "Product has no valid variant" })),
+      ],
+    };
+  }
+  return { valid, rejected };
+}
+
+/**
+ * Validates every product of a run, keeping row order. A Variant SKU may be
+ * used once per run: the first accepted product keeps it, later rows with
+ * the same SKU are rejected.
+ * @param {object[]} rows - All rows of the run.
+ * @returns {{validRows: object[], rejectedRows: Array<{row: object, reason: string}>}}
+ */
+export function validateRows(rows) {
+  const validRows = [];
+  const rejectedRows = [];
+  const takenSkus = new Map();
+  for (const productRows of groupRowsByHandle(rows)) {
+    const { valid, rejected } = validateProductRows(productRows, takenSkus);
+    validRows.push(...valid);
+    rejectedRows.push(...rejected);
+    for (const row of valid) {
+      if (!isBlank(row["Variant SKU"])) takenSkus.set(String(row["Variant SKU"]).trim(), row.Handle);
+    }
+  }
+  return { validRows, rejectedRows };
+}
+
+/**
+ * Narrows the run's products to the variants whose rows passed validation,
+ * so the other output formats hold the same products and variants as the
+ * Shopify export. Products left without a variant are dropped.
+ * @param {Array<{product: import('./productModel.js').Product, rows: object[]}>} entries -
+ * Each product with the rows toShopifyRows built for it (its variants' rows
+ * first, in variant order).
+ * @param {object[]} validRows - From {@link validateRows}, the same row objects.
+ * @returns {import('./productModel.js').Product[]}
+ */
+export function keepValidVariants(entries, validRows) {
+  const valid = new Set(validRows);
+  return entries
+    .map(({ product, rows }) => {
+      const variants = product.variants.filter((variant, i) => valid.has(rows[i]));
+      return { ...product, variants, options: optionsFromVariants(variants) };
+    })
+    .filter((product) => product.variants.length);
+}
@@ -1,75 +1,84 @@
 // index.js (After)
-import { launchBrowser } from "./helpers/browser.js";
-import { extractMacyProductData } from "./helpers/extractors.js"; // Renamed for clarity
-import { saveToCSVAndExcel } from "./helpers/fileIO.js";
+import { createScraperContext, launchBrowser } from "./helpers/browser.js";
+import { checkSelectors } from "./helpers/selectorHealth.js";
+import { DEFAULT_RETAILER, getRetailerForUrl } from "./helpers/retailers/index.js";
+import { parseCliArgs, printUsage } from "./helpers/cli.js";
+import { loadUrlEntries } from "./helpers/input.js";
+import { prepareRun, runScrape } from "./helpers/scrapeRun.js";
+import { configureLogger, logger } from "./helpers/logger.js";
 import "dotenv/config";
 
 (async () => {
-  const browser = await launchBrowser();
-  const context = await browser.newContext({
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
-    locale: "en-US",
-    timezoneId: "America/New_York",
-    viewport: { width: 1366, height: 768 },
-    colorScheme: "light",
-    extraHTTPHeaders: {
-      "Accept-Language": "en-US,en;q=0.9",
-    },
-  });
-
-  const page = await context.newPage();
-
-  // Array of URLs to scrape
-  const urlsToScrape = [
-    "https://www.macys.com/shop/product/jessica-simpson-olivine-bow-high-heel-stiletto-dress-sandals?ID=19766033&tdp=cm_app~zMCOM-NAVAPP~xcm_zone~zrvi_hpdash_zone~xcm_choiceId~z~xcm_pos~zPos2~xcm_srcCatID~z17570",
-    // Add more URLs here if needed:
-    // "https://www.macys.com/shop/product/another-product-url",
-  ];
+  let options;
+  try {
+    options = parseCliArgs();
+  } catch (err) {
+    logger.error(`❌ ${err.message}`);
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
 
-  let allShopifyRows = [];
-  let failedUrls = [];
-  let processedCount = 0;
-  const totalUrls = urlsToScrape.length;
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  configureLogger({ level: options.logLevel });
 
-  for (const urlEntry of urlsToScrape) {
-    let url, extraTags;
-    // This allows for future expansion if you want to add specific tags per URL
-    if (typeof urlEntry === "string") {
-      url = urlEntry;
-      extraTags = "";
-    } else if (typeof urlEntry === "object" && urlEntry.url) {
-      url = urlEntry.url;
-      extraTags = urlEntry.tags || "";
-    } else {
-      console.warn("❌ Invalid urlEntry:", urlEntry);
-      failedUrls.push(urlEntry);
-      continue;
+  if (options.checkSelectors) {
+    const retailer = options.input
+      ? getRetailerForUrl(options.input)
+      : DEFAULT_RETAILER;
+    if (!retailer) {
+      logger.error(`❌ No retailer adapter for ${options.input}`);
+      process.exitCode = 1;
+      return;
     }
-
-    processedCount++;
-    console.log(`\n--- Processing URL ${processedCount} of ${totalUrls} ---`);
-    console.log(`URL: ${url}`);
-
+    const browser = await launchBrowser({
+      headless: options.headless,
+      channel: options.browserChannel,
+      ignoreCertificateErrors: options.ignoreCertErrors,
+    });
+    const page = await (
+      await createScraperContext(browser, {
+        storageStatePath: options.storageStatePath,
+        locale: options.locale,
+        timezoneId: options.timezone,
+      })
+    ).newPage();
     try {
-      // Renamed the function to be more specific to Macy's
-      const shopifyRows = await extractMacyProductData(page, url, extraTags);
-      allShopifyRows.push(...shopifyRows);
-      console.log(`✅ Successfully processed URL ${processedCount} of ${totalUrls}: ${url}`);
-    } catch (err) {
-      console.error(`❌ Failed to process URL ${processedCount} of ${totalUrls}: ${url}. Error: ${err.message}`);
-      failedUrls.push({ url, tags: extraTags });
+      const { missingRequired } = await checkSelectors(
+        page,
+        options.input || retailer.sampleProductUrl,
+        retailer
+      );
+      process.exitCode = missingRequired.length ? 1 : 0;
+    } finally {
+      await browser.close();
     }
+    return;
+  }
+
+  if (!options.input && !options.listings.length && process.stdin.isTTY) {
+    logger.error("❌ No input file given and nothing piped on stdin.");
+    printUsage();
+    process.exitCode = 1;
+    return;
   }
 
-  saveToCSVAndExcel({
-    productRow: allShopifyRows,
-    excel: false, // Set to true if you also want an Excel file
-    csv: true,
-    failedUrls,
-  });
-  console.log("\n✅ Scraped data saved to output files.");
+  let shopify;
+  try {
+    shopify = prepareRun(options);
+  } catch (err) {
+    logger.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
 
-  await browser.close();
-  console.log("Browser closed.");
-})();
\ No newline at end of file
+  // Array of URLs to scrape: strings or { url, tags, type, vendor } objects
+  const urlEntries =
+    options.input || !options.listings.length
+      ? loadUrlEntries(options.input)
+      : [];
+  await runScrape(options, { urlEntries, ...shopify });
+})();
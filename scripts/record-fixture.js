@@ -0,0 +1,20 @@
+// scripts/record-fixture.js
+// Usage: node scripts/record-fixture.js <product-url> <fixture-name>
+// Saves the page and its responses under test/fixtures/<fixture-name>.
+import path from "path";
+import { createScraperContext, launchBrowser } from "../helpers/browser.js";
+import { recordFixture } from "../helpers/fixtures.js";
+
+const [url, name] = process.argv.slice(2);
+if (!url || !name) {
+  console.error("Usage: node scripts/record-fixture.js <product-url> <fixture-name>");
+  process.exit(1);
+}
+
+const browser = await launchBrowser({ headless: true });
+try {
+  const page = await (await createScraperContext(browser)).newPage();
+  await recordFixture(page, url, path.join("test", "fixtures", name));
+} finally {
+  await browser.close();
+}
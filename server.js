@@ -0,0 +1,62 @@
+// server.js
+//
+// Local job server: a dashboard and HTTP API in front of the same scrape
+// flow as index.js. Jobs are queued and run one at a time, so only one
+// browser pool is ever active.
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseServerArgs, printServerUsage } from "./helpers/cli.js";
+import { createJobQueue, createJobServer } from "./helpers/jobServer.js";
+import { prepareRun, runScrape } from "./helpers/scrapeRun.js";
+import { configureLogger, logger } from "./helpers/logger.js";
+import "dotenv/config";
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+
+let args;
+try {
+  args = parseServerArgs();
+} catch (err) {
+  logger.error(`❌ ${err.message}`);
+  printServerUsage();
+  process.exit(1);
+}
+
+const { port, host, options } = args;
+if (options.help) {
+  printServerUsage();
+  process.exit(0);
+}
+configureLogger({ level: options.logLevel });
+
+let shopify;
+try {
+  shopify = prepareRun(options);
+} catch (err) {
+  logger.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const queue = createJobQueue((job, onProgress) => {
+  const outputDir = path.join(options.outputDir, "jobs", job.id);
+  return runScrape(
+    {
+      ...options,
+      outputDir,
+      listings: job.listings,
+      images: options.images && { ...options.images, imageDir: path.join(outputDir, "images") },
+      defaults: {
+        tags: [options.defaults.tags, job.defaults.tags].filter(Boolean).join(", "),
+        type: job.defaults.type || options.defaults.type,
+        vendor: job.defaults.vendor || options.defaults.vendor,
+      },
+    },
+    { urlEntries: job.entries, ...shopify, onProgress }
+  ).finally(() => configureLogger({ filePath: options.logFile }));
+});
+
+createJobServer({ queue, dashboardPath: path.join(rootDir, "public", "index.html") }).listen(
+  port,
+  host,
+  () => logger.info(`🌐 Job server listening on http://${host}:${port}/`)
+);
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_ATTRIBUTE_MAPPING,
+  applyProductAttributes,
+  attributeColumnNames,
+  featureLinesFromHtml,
+  loadAttributeMapping,
+  metafieldFromColumn,
+  parseMeasurement,
+  parseProductAttributes,
+} from "../helpers/attributes.js";
+import { buildProductSetInput } from "../helpers/shopify.js";
+import { toShopifyRows } from "../helpers/exporters/shopifyCsv.js";
+
+const FEATURES_HTML = `<p>Strappy sandals.</p><h4>Features</h4><ul>
+  <li>Adjustable ankle strap with buckle closure</li>
+  <li>Heel height: approx. 3-1/2"</li>
+  <li>Leather upper; manmade lining and sole</li>
+  <li>Lightweight sole for comfort</li>
+  <li>Spot clean</li>
+  <li>Imported</li>
+</ul>`;
+const SIZE_CHART = ["US | EU | UK", "7 | 37.5 | 4.5", "Fits true to size. If between sizes, order a half size up."];
+
+const byKey = (attributes) => Object.fromEntries(attributes.map((a) => [a.key, a.values]));
+
+test("measurements with fractions are read as numbers", () => {
+  assert.equal(parseMeasurement("3-1/2"), 3.5);
+  assert.equal(parseMeasurement("3 1/4"), 3.25);
+  assert.equal(parseMeasurement("1/2"), 0.5);
+  assert.equal(parseMeasurement("2.75"), 2.75);
+  assert.ok(isNaN(parseMeasurement("tall")));
+});
+
+test("features and size chart lines become normalized attributes", () => {
+  const attributes = parseProductAttributes([...featureLinesFromHtml(FEATURES_HTML), ...SIZE_CHART]);
+  assert.deepEqual(byKey(attributes), {
+    material: ["Leather", "Faux Leather"],
+    heel_height: ["3.5 in"],
+    origin: ["Imported"],
+    care: ["Spot Clean"],
+    fit: ["True to Size"],
+    closure: ["Buckle"],
+  });
+  assert.deepEqual(attributes.find((a) => a.key === "heel_height").tags, ["3 in & up"]);
+
+  assert.deepEqual(byKey(parseProductAttributes(["95% Cotton/5% Spandex", "Machine washable", "Made in Italy."])), {
+    material: ["Cotton", "Spandex"],
+    origin: ["Made in Italy"],
+    care: ["Machine Wash"],
+  });
+});
+
+test("attributes go into the product, its tags and the first row's metafield columns", () => {
+  const product = {
+    handle: "test-sandals",
+    title: "Sandals",
+    descriptionHtml: "",
+    vendor: "Test Brand",
+    type: "Footwear",
+    tags: ["Women", "Shoes"],
+    attributes: {},
+    url: "https://www.macys.com/shop/product/test-sandals?ID=1001",
+    options: [],
+    variants: [{ sku: "1001", options: {}, price: "10.00", availability: "in_stock", image: "" }],
+    images: [],
+  };
+  applyProductAttributes(product, parseProductAttributes(featureLinesFromHtml(FEATURES_HTML)));
+  assert.deepEqual(product.attributes, {
+    material: "Leather, Faux Leather",
+    heel_height: "3.5 in",
+    origin: "Imported",
+    care: "Spot Clean",
+    closure: "Buckle",
+  });
+
+  const rows = toShopifyRows(product);
+  assert.equal(
+    rows[0].Tags,
+    "Women, Shoes, Material: Leather, Material: Faux Leather, Heel Height: 3 in & up, Origin: Imported, Care: Spot Clean, Closure: Buckle"
+  );
+  assert.equal(rows[0]["Material (product.metafields.custom.material)"], "Leather, Faux Leather");
+  assert.equal(rows[0]["Heel Height (product.metafields.custom.heel_height)"], "3.5 in");
+
+  assert.deepEqual(metafieldFromColumn("Fit (product.metafields.custom.fit)"), { namespace: "custom", key: "fit" });
+  assert.equal(metafieldFromColumn("Tags"), null);
+  assert.deepEqual(
+    buildProductSetInput(rows).metafields.find((m) => m.key === "heel_height"),
+    { namespace: "custom", key: "heel_height", type: "single_line_text_field", value: "3.5 in" }
+  );
+});
+
+test("a mapping file overrides, drops and adds attributes", (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "attributes-"));
+  const mappingPath = path.join(dir, "attributes.json");
+  fs.copyFileSync(new URL("../attributes.example.json", import.meta.url), mappingPath);
+  loadAttributeMapping(mappingPath);
+  t.after(() => {
+    fs.writeFileSync(mappingPath, JSON.stringify({ attributes: [] }));
+    loadAttributeMapping(mappingPath);
+  });
+
+  assert.ok(attributeColumnNames().includes("Material (product.metafields.specs.material)"));
+  assert.ok(!attributeColumnNames().some((c) => c.startsWith("Care ")));
+  assert.deepEqual(byKey(parseProductAttributes(["Pointed-toe silhouette", "Spot clean", "Made in Italy"])), {
+    origin: ["Made in Italy"],
+    toe_style: ["Pointed"],
+  });
+  assert.equal(DEFAULT_ATTRIBUTE_MAPPING.attributes[0].metafield, "custom.material");
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openCheckpoint } from "../helpers/checkpoint.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+const OLD_URL = "https://www.macys.com/shop/product/old-sandals?ID=1002";
+
+test("a product with no variants is checkpointed and not scraped again", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  const checkpointPath = path.join(dir, "run.checkpoint.jsonl");
+  const product = { handle: "test-sandals", url: URL, variants: [] };
+  openCheckpoint(checkpointPath).record(URL, product);
+
+  const resumed = openCheckpoint(checkpointPath);
+  assert.equal(resumed.isDone(URL), true);
+  assert.deepEqual(resumed.productFor(URL), product);
+});
+
+test("lines in the old row format are skipped so their URLs are scraped again", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+  const checkpointPath = path.join(dir, "run.checkpoint.jsonl");
+  fs.writeFileSync(
+    checkpointPath,
+    `${JSON.stringify({ url: OLD_URL, rows: [{ Handle: "old-sandals", "Variant Price": "10.00" }] })}\n{"url":`,
+    "utf-8"
+  );
+  const resumed = openCheckpoint(checkpointPath);
+  assert.equal(resumed.isDone(OLD_URL), false);
+  assert.equal(resumed.productFor(OLD_URL), null);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  convertAmount,
+  parseAmount,
+  parsePrice,
+  setCurrencyRates,
+  setCurrencySettings,
+} from "../helpers/currency.js";
+import { calculatePrices } from "../helpers/formatters.js";
+
+const price = (text, options) => {
+  const { amount, original, max, currency } = parsePrice(text, options);
+  return { amount, original, max, currency };
+};
+
+test("single prices, ranges and sale/original pairs", () => {
+  assert.deepEqual(price("$87.83"), { amount: 87.83, original: NaN, max: NaN, currency: "USD" });
+  assert.deepEqual(price("$39.99 - $59.99"), { amount: 39.99, original: NaN, max: 59.99, currency: "USD" });
+  assert.deepEqual(price("$10.00 to $20.00").max, 20);
+  assert.deepEqual(price("Now $45.00 Orig. $90.00"), { amount: 45, original: 90, max: NaN, currency: "USD" });
+  assert.deepEqual(price("Sale $1,299.00 Reg. $1,599.00"), {
+    amount: 1299,
+    original: 1599,
+    max: NaN,
+    currency: "USD",
+  });
+  assert.equal(price("Extra 20% off $45.00").amount, 45);
+  assert.equal(price("2 for $30").amount, 30);
+  assert.equal(price("$100 2 for $150").amount, 100);
+  assert.equal(price("$100\u00a02 for $150").amount, 100);
+  assert.ok(isNaN(price("Sold out").amount));
+});
+
+test("currency symbols, codes and non-US number formats", () => {
+  assert.deepEqual(price("1.234,56 €"), { amount: 1234.56, original: NaN, max: NaN, currency: "EUR" });
+  assert.equal(price("£1,299").currency, "GBP");
+  assert.equal(price("£1,299").amount, 1299);
+  assert.equal(price("CA$20").currency, "CAD");
+  assert.equal(price("45.00 USD").currency, "USD");
+  assert.equal(price("1\u00a0234,56 €").amount, 1234.56);
+  assert.equal(price("SEK 1 234 567").amount, 1234567);
+  assert.equal(parseAmount("1 234,56"), 1234.56);
+  assert.equal(parseAmount("12,50"), 12.5);
+  assert.equal(parseAmount("1.234", "de-DE"), 1234);
+  assert.equal(parseAmount("1.234", "en-US"), 1.234);
+});
+
+test("a bare $ and unlabelled prices use the source currency", (t) => {
+  t.after(() => setCurrencySettings({ sourceCurrency: "USD" }));
+  setCurrencySettings({ sourceCurrency: "CAD" });
+  assert.equal(price("$20").currency, "CAD");
+  assert.equal(price("20.00").currency, "CAD");
+  assert.equal(price("€20").currency, "EUR");
+});
+
+test("prices are converted to the store currency before the pricing rules", (t) => {
+  t.after(() => {
+    setCurrencySettings({ storeCurrency: "" });
+    setCurrencyRates(null);
+  });
+  setCurrencyRates({ base: "USD", rates: { EUR: 0.5, GBP: 0.8 } });
+  assert.equal(convertAmount(10, "EUR", "GBP"), 16);
+
+  setCurrencySettings({ storeCurrency: "USD" });
+  assert.deepEqual(calculatePrices("€50.00"), {
+    costPerItem: "100.00",
+    variantPrice: "150.00",
+    compareAtPrice: "100.00",
+    sourceCurrency: "EUR",
+    sourcePrice: "50.00",
+  });
+  assert.throws(() => calculatePrices("¥5000"), /No exchange rate from JPY to USD/);
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { exportProductFormats } from "../helpers/exporters/index.js";
+import { toShopifyRows } from "../helpers/exporters/shopifyCsv.js";
+import { toWooCommerceRows } from "../helpers/exporters/woocommerce.js";
+import { toMerchantItems } from "../helpers/exporters/googleMerchant.js";
+import { keepValidVariants, validateRows } from "../helpers/validation.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+const IMG = "https://slimages.macysassets.com/is/image/MCY/products/1/optimized";
+
+function variant(color, size, extra = {}) {
+  return {
+    sku: `1001-${color.toUpperCase()}-${size}`,
+    sourceSku: "",
+    barcode: "",
+    options: { Color: color, Size: size },
+    price: "60.00",
+    compareAtPrice: "80.00",
+    cost: "40.00",
+    sourceCurrency: "USD",
+    sourcePrice: "60.00",
+    availability: "in_stock",
+    inventoryQty: 10,
+    image: `${IMG}/${color}.tif`,
+    ...extra,
+  };
+}
+
+function product() {
+  return {
+    id: "1001",
+    handle: "test-sandals",
+    title: "Test Brand, Test Sandals",
+    descriptionHtml: "<p>Strappy &amp; light.</p><h4>Features</h4><ul><li>Imported</li></ul>",
+    vendor: "Test Brand",
+    type: "Footwear",
+    tags: ["Women", "Shoes"],
+    attributes: {},
+    url: URL,
+    currency: "USD",
+    options: [
+      { name: "Color", values: ["Red", "Blue"] },
+      { name: "Size", values: ["7"] },
+    ],
+    variants: [
+      variant("Red", "7"),
+      variant("Blue", "7", { availability: "out_of_stock", inventoryQty: 0 }),
+    ],
+    images: [
+      { src: `${IMG}/Red.tif`, alt: "Test Brand, Test Sandals - Red", position: 1 },
+      { src: `${IMG}/Blue.tif`, alt: "Test Brand, Test Sandals - Blue", position: 2 },
+      { src: `${IMG}/Red-2.tif`, alt: "Test Brand, Test Sandals - Red", position: 3 },
+    ],
+  };
+}
+
+test("Shopify CSV: one row per variant, product fields on the first, extra photos on image-only rows", () => {
+  const rows = toShopifyRows(product());
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].Title, "Test Brand, Test Sandals");
+  assert.equal(rows[0].Tags, "Women, Shoes");
+  assert.equal(rows[1].Title, "");
+  assert.deepEqual(
+    rows.slice(0, 2).map((row) => [row["Option1 Name"], row["Option1 Value"], row["Option2 Value"], row["Variant SKU"]]),
+    [["Color", "Red", "7", "1001-RED-7"], ["Color", "Blue", "7", "1001-BLUE-7"]]
+  );
+  assert.equal(rows[1]["Variant Inventory Policy"], "deny");
+  assert.equal(rows[1]["Variant Inventory Qty"], 0);
+  assert.equal(rows[1]["Variant Image"], `${IMG}/Blue.tif`);
+  assert.deepEqual(rows[2], {
+    Handle: "test-sandals",
+    "Image Src": `${IMG}/Red-2.tif`,
+    "Image Position": 3,
+    "Image Alt Text": "Test Brand, Test Sandals - Red",
+  });
+  assert.deepEqual(toShopifyRows({ ...product(), variants: [] }), []);
+});
+
+test("keepValidVariants drops the variants whose rows failed validation", () => {
+  const rows = toShopifyRows(product());
+  rows[1]["Variant Price"] = "";
+  const { validRows } = validateRows(rows);
+  const [kept] = keepValidVariants([{ product: product(), rows }], validRows);
+  assert.deepEqual(kept.variants.map((v) => v.sku), ["1001-RED-7"]);
+  assert.deepEqual(kept.options, [
+    { name: "Color", values: ["Red"] },
+    { name: "Size", values: ["7"] },
+  ]);
+  assert.deepEqual(keepValidVariants([{ product: product(), rows }], []), []);
+});
+
+test("keepValidVariants drops a variant rejected as a duplicate option combination", () => {
+  const duplicate = product();
+  duplicate.variants[1].options = { Color: "Red", Size: "7" };
+  const rows = toShopifyRows(duplicate);
+  const { validRows, rejectedRows } = validateRows(rows);
+  assert.match(rejectedRows[0].reason, /Duplicate option combination/);
+  const [kept] = keepValidVariants([{ product: duplicate, rows }], validRows);
+  assert.deepEqual(kept.variants.map((v) => v.sku), ["1001-RED-7"]);
+});
+
+test("WooCommerce: variable parent plus variations with sale prices", () => {
+  const [parent, ...variations] = toWooCommerceRows(product());
+  assert.equal(parent.Type, "variable");
+  assert.equal(parent["Attribute 1 value(s)"], "Red, Blue");
+  assert.equal(variations.length, 2);
+  assert.equal(variations[0].Parent, "1001");
+  assert.equal(variations[0]["Regular price"], "80.00");
+  assert.equal(variations[0]["Sale price"], "60.00");
+  assert.equal(variations[1]["In stock?"], 0);
+});
+
+test("Google Merchant: one item per variant with plain-text description", () => {
+  const items = toMerchantItems(product(), { storeUrl: "https://shop.example.com/" });
+  assert.equal(items.length, 2);
+  assert.equal(items[0].link, "https://shop.example.com/products/test-sandals");
+  assert.equal(items[0].item_group_id, "1001");
+  assert.equal(items[0].description, "Strappy & light.\nFeatures\nImported");
+  assert.equal(items[0].price, "80.00 USD");
+  assert.equal(items[0].sale_price, "60.00 USD");
+  assert.equal(items[0].color, "Red");
+  assert.equal(items[1].availability, "out_of_stock");
+});
+
+test("exportProductFormats writes each requested format", () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "exporters-"));
+  try {
+    const written = exportProductFormats([product()], ["csv", "jsonl", "gmc-xml", "gmc-tsv", "woocommerce"], {
+      outputDir,
+      fileName: "run",
+    });
+    assert.deepEqual(
+      written.map((p) => path.basename(p)).sort(),
+      ["run.jsonl", "run_google_merchant.tsv", "run_google_merchant.xml", "run_woocommerce.csv"]
+    );
+    const lines = fs.readFileSync(path.join(outputDir, "run.jsonl"), "utf-8").trim().split("\n");
+    assert.equal(JSON.parse(lines[0]).handle, "test-sandals");
+    const xml = fs.readFileSync(path.join(outputDir, "run_google_merchant.xml"), "utf-8");
+    assert.match(xml, /<g:id>1001-RED-7<\/g:id>/);
+    assert.match(xml, /Strappy &amp; light\./);
+    const tsv = fs.readFileSync(path.join(outputDir, "run_google_merchant.tsv"), "utf-8").trim().split("\n");
+    assert.equal(tsv.length, 3);
+    assert.ok(!tsv[1].includes("\n"));
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculatePrices, extractSKU, formatHandleFromUrl } from "../helpers/formatters.js";
+
+const PRODUCT_URL =
+  "https://www.macys.com/shop/product/jessica-simpson-olivine-bow-high-heel-stiletto-dress-sandals?ID=19766033&tdp=cm_app";
+
+test("formatHandleFromUrl builds the handle from the URL path", () => {
+  assert.equal(
+    formatHandleFromUrl(PRODUCT_URL),
+    "shop-product-jessica-simpson-olivine-bow-high-heel-stiletto-dress-sandals"
+  );
+  assert.equal(formatHandleFromUrl("not a url"), "");
+});
+
+test("extractSKU reads the product ID", () => {
+  assert.equal(extractSKU(PRODUCT_URL), "19766033");
+  assert.equal(extractSKU("https://www.macys.com/shop/product/no-id"), "");
+});
+
+test("calculatePrices applies the default markup to the regular price", () => {
+  assert.deepEqual(calculatePrices("$87.83"), {
+    costPerItem: "87.83",
+    variantPrice: "131.75",
+    compareAtPrice: "87.83",
+    sourceCurrency: "USD",
+    sourcePrice: "87.83",
+  });
+  assert.deepEqual(calculatePrices({ salePrice: "Now $40.00", regularPrice: "$80.00" }), {
+    costPerItem: "80.00",
+    variantPrice: "120.00",
+    compareAtPrice: "80.00",
+    sourceCurrency: "USD",
+    sourcePrice: "40.00",
+  });
+});
+
+test("calculatePrices leaves the prices blank when none was shown", () => {
+  assert.deepEqual(calculatePrices(""), {
+    costPerItem: "",
+    variantPrice: "",
+    compareAtPrice: "",
+    sourceCurrency: "",
+    sourcePrice: "",
+  });
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { imageExtension, rehostImages } from "../helpers/imageRehost.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+const CDN = "https://slimages.macysassets.com/is/image/MCY/products";
+
+const redPng = await sharp({
+  create: { width: 40, height: 20, channels: 3, background: "#c00" },
+}).png().toBuffer();
+
+// Same photo under two URLs (red-1 and red-copy), a second photo and a 404.
+const IMAGES = {
+  [`${CDN}/red-1.tif?wid=1200`]: redPng,
+  [`${CDN}/red-copy.tif`]: redPng,
+  [`${CDN}/blue-1.tif`]: Buffer.from("blue-jpeg-bytes"),
+};
+
+function fakeFetch(requests) {
+  return async (url, { headers }) => {
+    requests.push({ url, referer: headers.Referer });
+    const body = IMAGES[url];
+    if (!body) return new Response("missing", { status: 404 });
+    const type = body === redPng ? "image/png" : "image/jpeg";
+    return new Response(body, { headers: { "content-type": type } });
+  };
+}
+
+function product() {
+  return {
+    handle: "test-sandals",
+    url: URL,
+    variants: [
+      { options: { Color: "Red" }, image: `${CDN}/red-1.tif?wid=1200` },
+      { options: { Color: "Blue" }, image: `${CDN}/gone.tif` },
+    ],
+    images: [
+      { src: `${CDN}/red-1.tif?wid=1200`, alt: "", position: 1 },
+      { src: `${CDN}/blue-1.tif`, alt: "", position: 2 },
+      { src: `${CDN}/red-copy.tif`, alt: "", position: 3 },
+    ],
+  };
+}
+
+test("images are stored once per content hash and products point at the new host", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+  const requests = [];
+  const data = product();
+
+  const result = await rehostImages([data], {
+    imageDir,
+    baseUrl: "https://cdn.example.com/img/",
+    fetchImpl: fakeFetch(requests),
+  });
+
+  // Each distinct URL is fetched once, with the product page as Referer.
+  assert.equal(requests.length, 4);
+  assert.ok(requests.every((r) => r.referer === URL));
+
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(result.failures, [
+    { url: URL, imageUrl: `${CDN}/gone.tif`, error: "HTTP 404" },
+  ]);
+  const files = fs.readdirSync(imageDir).sort();
+  assert.equal(files.length, 2);
+  assert.ok(files.some((f) => f.endsWith(".png")) && files.some((f) => f.endsWith(".jpg")));
+
+  const red = data.images[0].src;
+  assert.match(red, /^https:\/\/cdn\.example\.com\/img\/[0-9a-f]{20}\.png$/);
+  assert.equal(data.variants[0].image, red);
+  assert.equal(data.images[2].src, red);
+  assert.equal(data.variants[1].image, `${CDN}/gone.tif`);
+
+  // A re-run names the files the same way.
+  const again = product();
+  await rehostImages([again], { imageDir, baseUrl: "https://cdn.example.com/img", fetchImpl: fakeFetch([]) });
+  assert.equal(again.images[0].src, red);
+});
+
+test("images can be resized and converted to WebP", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+  const data = product();
+  data.variants = [data.variants[0]];
+  data.images = [data.images[0]];
+
+  await rehostImages([data], { imageDir, format: "webp", maxWidth: 10, fetchImpl: fakeFetch([]) });
+
+  const [file] = fs.readdirSync(imageDir);
+  assert.match(file, /\.webp$/);
+  const meta = await sharp(path.join(imageDir, file)).metadata();
+  assert.deepEqual([meta.format, meta.width, meta.height], ["webp", 10, 5]);
+  // Without a base URL the products keep the retailer URLs.
+  assert.equal(data.images[0].src, `${CDN}/red-1.tif?wid=1200`);
+});
+
+test("the extension comes from the content type, then the URL", () => {
+  assert.equal(imageExtension("image/jpeg; charset=binary", `${CDN}/a.tif`), "jpg");
+  assert.equal(imageExtension("", `${CDN}/a.TIFF`), "tif");
+  assert.equal(imageExtension("", `${CDN}/a`), "jpg");
+});
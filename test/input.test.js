@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadUrlEntries } from "../helpers/input.js";
+
+const URL_A = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "input-"));
+
+// No extension, so the format is guessed from the content as it is on stdin.
+function load(content) {
+  const file = path.join(dir, "urls");
+  fs.writeFileSync(file, content);
+  return loadUrlEntries(file);
+}
+
+test("a lone url header is read as CSV, not as a URL", () => {
+  const expected = [{ url: URL_A, tags: "", type: "", vendor: "" }];
+  assert.deepEqual(load(`url\n${URL_A}\n`), expected);
+  assert.deepEqual(load(`"URL"\r\n${URL_A}\r\n`), expected);
+});
+
+test("headers with more columns and plain URL lists still work", () => {
+  assert.deepEqual(load(`URL,Tags\n${URL_A},"Sale, Summer"\n`), [
+    { url: URL_A, tags: "Sale, Summer", type: "", vendor: "" },
+  ]);
+  assert.deepEqual(load(`# picks\n${URL_A}\n`), [{ url: URL_A, tags: "", type: "", vendor: "" }]);
+});
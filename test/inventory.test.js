@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setInventorySettings, skipUnavailableVariants } from "../helpers/inventory.js";
+
+const variant = (size, availability) => ({ sku: `1001-${size}`, options: { Size: size }, availability });
+
+const product = () => ({
+  handle: "test-sandals",
+  options: [{ name: "Size", values: ["7", "8"] }],
+  variants: [variant("7", "in_stock"), variant("8", "out_of_stock")],
+});
+
+test("sold-out variants are left out of the export only with unavailable: skip", (t) => {
+  t.after(() => setInventorySettings());
+  const deny = product();
+  assert.equal(skipUnavailableVariants(deny), deny);
+
+  setInventorySettings({ unavailable: "skip" });
+  const skipped = skipUnavailableVariants(product());
+  assert.deepEqual(skipped.variants.map((v) => v.sku), ["1001-7"]);
+  assert.deepEqual(skipped.options, [{ name: "Size", values: ["7"] }]);
+});
@@ -0,0 +1,114 @@
+import { test, after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createJobQueue, createJobServer, parseJobRequest } from "../helpers/jobServer.js";
+
+const URL_A = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+const URL_B = "https://www.macys.com/shop/product/test-boots?ID=1002";
+
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+const dashboardPath = path.join(outDir, "index.html");
+fs.writeFileSync(dashboardPath, "<h1>Jobs</h1>");
+
+// Stands in for runScrape: reports progress, writes a CSV and a checkpoint.
+let active = 0;
+let maxActive = 0;
+const order = [];
+// Jobs hold until the test releases them, so the second one is still queued.
+let release;
+const gate = new Promise((resolve) => (release = resolve));
+const queue = createJobQueue(async (job, onProgress) => {
+  active++;
+  maxActive = Math.max(maxActive, active);
+  order.push(job.id);
+  await gate;
+  const outputDir = path.join(outDir, job.id);
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const [i, { url }] of job.entries.entries()) {
+    onProgress({ position: i + 1, total: job.entries.length, url, status: "processing" });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    onProgress({ position: i + 1, total: job.entries.length, url, status: i ? "failed" : "done" });
+  }
+  fs.writeFileSync(path.join(outputDir, "macys_1.csv"), "Handle\ntest-sandals\n");
+  fs.writeFileSync(path.join(outputDir, "macys_1.checkpoint.jsonl"), "");
+  active--;
+  if (job.defaults.tags === "boom") throw new Error("Browser crashed");
+  return { outputDir, fileName: "macys_1", summary: { counts: { products: 1 } } };
+});
+const server = createJobServer({ queue, dashboardPath });
+let base;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const post = (body) =>
+  fetch(`${base}/api/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+test("job requests are checked and turned into URL entries", () => {
+  assert.deepEqual(parseJobRequest({ urls: [URL_A, { url: URL_B, tags: " Boots " }], tags: "Sale" }), {
+    entries: [
+      { url: URL_A, tags: "", type: "", vendor: "" },
+      { url: URL_B, tags: "Boots", type: "", vendor: "" },
+    ],
+    listings: [],
+    defaults: { tags: "Sale", type: "", vendor: "" },
+  });
+  assert.throws(() => parseJobRequest({ urls: [] }), /at least one URL/);
+  assert.throws(() => parseJobRequest({ urls: ["ftp://x.test/a", "nope"] }), /Invalid URL\(s\): ftp:\/\/x.test\/a, nope/);
+});
+
+test("jobs are queued, run one at a time and report progress and files", async () => {
+  const first = await (await post({ urls: [URL_A, URL_B], tags: "Summer" })).json();
+  const second = await (await post({ urls: [URL_A], tags: "boom" })).json();
+  assert.equal(first.status, "running");
+  assert.equal(second.status, "queued");
+  release();
+
+  await queue.idle();
+  assert.equal(maxActive, 1);
+  assert.deepEqual(order, [first.id, second.id]);
+
+  const job = await (await fetch(`${base}/api/jobs/${first.id}`)).json();
+  assert.equal(job.status, "done");
+  assert.deepEqual(job.progress, { total: 2, completed: 1, failed: 1, current: null });
+  assert.deepEqual(job.files, [{ name: "macys_1.csv", url: `/api/jobs/${first.id}/files/macys_1.csv` }]);
+
+  const failed = await (await fetch(`${base}/api/jobs/${second.id}`)).json();
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "Browser crashed");
+
+  const list = await (await fetch(`${base}/api/jobs`)).json();
+  assert.deepEqual(list.map((j) => j.id), [second.id, first.id]);
+
+  const download = await fetch(`${base}${job.files[0].url}`);
+  assert.equal(download.headers.get("content-type"), "text/csv; charset=utf-8");
+  assert.equal(await download.text(), "Handle\ntest-sandals\n");
+  assert.equal((await fetch(`${base}/api/jobs/${first.id}/files/macys_1.checkpoint.jsonl`)).status, 404);
+  assert.equal((await fetch(`${base}/api/jobs/${first.id}/files/..%2F..%2Findex.html`)).status, 404);
+});
+
+test("bad requests get an error status", async () => {
+  const res = await post({ urls: ["not a url"] });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Invalid URL/);
+  assert.equal((await fetch(`${base}/api/jobs/missing`)).status, 404);
+  assert.equal((await fetch(`${base}/api/jobs/%E0%A4%A`)).status, 400);
+  assert.equal((await fetch(`${base}/`)).status, 200);
+});
+
+test("a listed file that has gone missing is a 404, not a crash", async () => {
+  const job = queue.list().find((j) => j.files.length);
+  fs.rmSync(path.join(outDir, job.id, "macys_1.csv"));
+  const res = await fetch(`${base}/api/jobs/${job.id}/files/macys_1.csv`);
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).error, "File not available");
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runWithPool } from "../helpers/pool.js";
+
+const double = async (n) => n * 2;
+
+test("a slot whose resource fails drops out and the others take its items", async () => {
+  const results = await runWithPool([1, 2, 3, 4], double, {
+    concurrency: 2,
+    createResource: async (slot) => {
+      if (slot === 0) throw new Error("No browser");
+      return slot;
+    },
+  });
+  assert.deepEqual(results.map((r) => r.value), [2, 4, 6, 8]);
+});
+
+test("items fail with the resource error when no slot starts", async () => {
+  const results = await runWithPool([1, 2], double, {
+    concurrency: 2,
+    createResource: async () => {
+      throw new Error("No browser");
+    },
+  });
+  assert.deepEqual(results.map((r) => [r.status, r.reason.message]), [
+    ["rejected", "No browser"],
+    ["rejected", "No browser"],
+  ]);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  DEFAULT_PRICING_RULES,
+  applyPricingRules,
+  loadPricingRules,
+  setPricingRules,
+} from "../helpers/pricing.js";
+
+const EXAMPLE_RULES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "pricing.example.json");
+
+const price = (regularPrice) => applyPricingRules({ salePrice: NaN, regularPrice }).price;
+
+test("the margin guards hold for the rounded price", (t) => {
+  t.after(() => setPricingRules(DEFAULT_PRICING_RULES));
+  setPricingRules({ markup: 3.33, rounding: { ending: 0.99 }, margin: { min: 0.25, max: 0.7 } });
+  // 333.00 rounds up to 333.99, a 70.06% margin; the cap rounds down instead.
+  assert.equal(price(100), 332.99);
+  assert.ok((332.99 - 100) / 332.99 <= 0.7);
+
+  setPricingRules({ markup: 1.2, rounding: { ending: 0.99 }, margin: { min: 0.25 } });
+  assert.equal(price(10), 13.99);
+});
+
+test("the margin guards work without rounding", (t) => {
+  t.after(() => setPricingRules(DEFAULT_PRICING_RULES));
+  setPricingRules({ markup: 4, margin: { max: 0.5 } });
+  assert.equal(price(10), 20);
+});
+
+test("pricing rules with invalid markups or margins are rejected", (t) => {
+  t.after(() => setPricingRules(DEFAULT_PRICING_RULES));
+  assert.throws(() => setPricingRules({ markup: "1.5" }), /pricing rules: markup must be a number/);
+  assert.throws(() => setPricingRules({ margin: { min: 1 } }), /margin\.min must be at least 0 and below 1/);
+  assert.throws(() => setPricingRules({ margin: { max: -0.1 } }), /margin\.max must be at least 0/);
+  assert.throws(
+    () => setPricingRules({ margin: { min: 0.6, max: 0.4 } }),
+    /margin\.min \(0\.6\) is above margin\.max \(0\.4\)/
+  );
+  assert.throws(
+    () => setPricingRules({ rules: [{ markup: 2 }, { compareAt: { strategy: "markup", markup: null } }] }),
+    /pricing rule 2: compareAt\.markup must be a number/
+  );
+  assert.equal(price(10), 10 * DEFAULT_PRICING_RULES.markup);
+});
+
+test("loadPricingRules accepts the example rules file", (t) => {
+  t.after(() => setPricingRules(DEFAULT_PRICING_RULES));
+  const rules = loadPricingRules(EXAMPLE_RULES);
+  assert.equal(rules.rules.length, 4);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricing-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const badPath = path.join(dir, "rules.json");
+  fs.writeFileSync(badPath, JSON.stringify({ rules: [{ margin: { min: 25 } }] }));
+  assert.throws(() => loadPricingRules(badPath), /pricing rule 1: margin\.min/);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  filePrefixForUrls,
+  getRetailerForUrl,
+  productIdFromUrl,
+} from "../helpers/retailers/index.js";
+import { buildOutputFileName } from "../helpers/fileIO.js";
+
+const MACYS_URL = "https://www.macys.com/shop/product/test-sandals?ID=1001&tdp=cm_app";
+
+test("adapters are picked by hostname", () => {
+  assert.equal(getRetailerForUrl(MACYS_URL).id, "macys");
+  assert.equal(getRetailerForUrl("https://macys.com/shop/product/x?ID=2").id, "macys");
+  assert.equal(getRetailerForUrl("https://notmacys.com/shop/product/x?ID=2"), null);
+  assert.equal(getRetailerForUrl("not a url"), null);
+});
+
+test("product IDs come from the adapter", () => {
+  assert.equal(productIdFromUrl(MACYS_URL), "1001");
+});
+
+test("output files keep the retailer prefix only for single-retailer runs", () => {
+  const now = new Date("2025-07-19T08:24:00Z");
+  assert.equal(buildOutputFileName(now, filePrefixForUrls([MACYS_URL])), "Macy_products_2025-07-19_08-24");
+  assert.equal(
+    buildOutputFileName(now, filePrefixForUrls([MACYS_URL, "https://shop.example.com/p/1"])),
+    "products_2025-07-19_08-24"
+  );
+});
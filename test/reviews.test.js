@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  REVIEW_COLUMNS,
+  applyReviewColumns,
+  mostRecentQuestions,
+  mostRecentReviews,
+  normalizeQuestion,
+  normalizeReview,
+  parseRating,
+  parseReviewCount,
+  reviewsFromJsonLd,
+} from "../helpers/reviews.js";
+import { openCheckpoint } from "../helpers/checkpoint.js";
+import { parseCliArgs } from "../helpers/cli.js";
+import { saveReviews, saveToCSVAndExcel } from "../helpers/fileIO.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+
+const review = (date, title, extra = {}) =>
+  normalizeReview({ rating: "5 out of 5 stars", title, body: ` Love  them ${title} `, date, ...extra });
+
+test("ratings, counts and dates are read from page text", () => {
+  assert.equal(parseRating("4.5 out of 5 stars"), 4.5);
+  assert.equal(parseRating("Rated 4,2"), 4.2);
+  assert.equal(parseRating("12"), null);
+  assert.equal(parseReviewCount("(1,234 Reviews)"), 1234);
+  assert.equal(parseReviewCount("No reviews yet"), null);
+  assert.deepEqual(review("March 3, 2025", "Comfy", { verified: true }), {
+    rating: 5,
+    title: "Comfy",
+    body: "Love them Comfy",
+    date: "2025-03-03",
+    verified: true,
+  });
+  assert.equal(normalizeReview({ date: "2 days ago" }).date, "2 days ago");
+});
+
+test("the newest reviews are kept once each", () => {
+  const reviews = [
+    review("2025-01-10", "Older"),
+    review("2 days ago", "Undated"),
+    review("2025-03-01", "Newest"),
+    review("2025-03-01", "Newest"),
+    review("2024-12-31", "Oldest"),
+  ];
+  assert.deepEqual(mostRecentReviews(reviews, 3).map((r) => r.title), ["Newest", "Older", "Oldest"]);
+  assert.deepEqual(mostRecentReviews(reviews, 10).map((r) => r.title), ["Newest", "Older", "Oldest", "Undated"]);
+});
+
+test("JSON-LD aggregate ratings and reviews are read", () => {
+  const jsonLd = [
+    {
+      "@graph": [
+        {
+          "@type": "Product",
+          aggregateRating: { ratingValue: "4.6", reviewCount: "87" },
+          review: [{ name: "Great", reviewBody: "Fits well", datePublished: "2025-02-01", reviewRating: { ratingValue: 5 } }],
+        },
+      ],
+    },
+  ];
+  assert.deepEqual(reviewsFromJsonLd(jsonLd), {
+    rating: 4.6,
+    count: 87,
+    reviews: [{ rating: 5, title: "Great", body: "Fits well", date: "2025-02-01", verified: false }],
+    questions: [],
+  });
+  assert.deepEqual(reviewsFromJsonLd([]), { rating: null, count: null, reviews: [], questions: [] });
+});
+
+test("questions keep their non-empty answers and the newest are kept", () => {
+  const question = normalizeQuestion({
+    question: " Do these  run small? ",
+    date: "March 3, 2025",
+    answers: [{ body: "No, true to size.", date: "2025-03-04" }, { body: "  " }],
+  });
+  assert.deepEqual(question, {
+    question: "Do these run small?",
+    date: "2025-03-03",
+    answers: [{ body: "No, true to size.", date: "2025-03-04" }],
+  });
+  const older = normalizeQuestion({ question: "Are they waterproof?", date: "2024-11-02" });
+  assert.deepEqual(
+    mostRecentQuestions([older, question, question, normalizeQuestion({ question: "" })], 5),
+    [question, older]
+  );
+});
+
+test("ratings become metafield columns and reviews get their own files", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviews-"));
+  const rows = [
+    { Handle: "test-sandals", Title: "Test Sandals", "Variant Price": "10.00" },
+    { Handle: "test-sandals", "Variant Price": "10.00" },
+  ];
+  const productReviews = {
+    rating: 4.6,
+    count: 87,
+    reviews: [review("2025-03-01", "Comfy", { verified: true })],
+    questions: [
+      normalizeQuestion({
+        question: "Do these run small?",
+        date: "2025-03-03",
+        answers: [{ body: "No", date: "2025-03-04" }, { body: "A little", date: "2025-03-05" }],
+      }),
+      normalizeQuestion({ question: "Are they waterproof?", date: "2025-03-02" }),
+    ],
+  };
+  applyReviewColumns(rows, productReviews);
+  assert.equal(rows[0][REVIEW_COLUMNS.rating], 4.6);
+  assert.equal(rows[0][REVIEW_COLUMNS.count], 87);
+  assert.equal(rows[1][REVIEW_COLUMNS.rating], undefined);
+
+  // Reviews survive a resume through the checkpoint.
+  const checkpointPath = path.join(dir, "run.checkpoint.jsonl");
+  const product = { handle: "test-sandals", url: URL, variants: [{ sku: "1001-RED-7", options: {} }] };
+  openCheckpoint(checkpointPath).record(URL, product, productReviews);
+  const resumed = openCheckpoint(checkpointPath);
+  assert.deepEqual(resumed.productFor(URL), product);
+  assert.deepEqual(resumed.reviewsFor(URL), productReviews);
+
+  saveToCSVAndExcel({ productRow: rows, excel: false, outputDir: dir, fileName: "run" });
+  const header = fs.readFileSync(path.join(dir, "run.csv"), "utf-8").split("\n")[0];
+  assert.ok(header.endsWith(`${REVIEW_COLUMNS.rating},${REVIEW_COLUMNS.count}`));
+
+  saveReviews({ reviewsByHandle: { "test-sandals": { url: URL, ...productReviews } }, outputDir: dir, fileName: "run" });
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, "run_reviews.json"), "utf-8"));
+  assert.equal(saved["test-sandals"].count, 87);
+  assert.deepEqual(fs.readFileSync(path.join(dir, "run_reviews.csv"), "utf-8").trim().split("\n"), [
+    "Handle,Rating,Title,Body,Date,Verified,URL",
+    `test-sandals,5,Comfy,Love them Comfy,2025-03-01,TRUE,${URL}`,
+  ]);
+  assert.deepEqual(fs.readFileSync(path.join(dir, "run_questions.csv"), "utf-8").trim().split("\n"), [
+    "Handle,Question,Question Date,Answer,Answer Date,URL",
+    `test-sandals,Do these run small?,2025-03-03,No,2025-03-04,${URL}`,
+    `test-sandals,Do these run small?,2025-03-03,A little,2025-03-05,${URL}`,
+    `test-sandals,Are they waterproof?,2025-03-02,,,${URL}`,
+  ]);
+
+  // Checkpoints written before Q&A was captured have no questions.
+  const { questions, ...withoutQuestions } = productReviews;
+  saveReviews({ reviewsByHandle: { "test-sandals": { url: URL, ...withoutQuestions } }, outputDir: dir, fileName: "old" });
+  assert.equal(fs.readFileSync(path.join(dir, "old_questions.csv"), "utf-8").trim(), "Handle,Question,Question Date,Answer,Answer Date,URL");
+});
+
+test("--max-reviews and --max-questions need --reviews, even at their defaults", () => {
+  assert.throws(() => parseCliArgs(["in.txt", "--max-reviews", "10"]), /--max-reviews needs --reviews/);
+  assert.throws(() => parseCliArgs(["in.txt", "--max-questions=5"]), /--max-questions needs --reviews/);
+  const options = parseCliArgs(["in.txt", "--reviews", "--max-reviews", "10"]);
+  assert.deepEqual(options.reviews, { maxReviews: 10, maxQuestions: 5 });
+  assert.doesNotThrow(() => parseCliArgs(["in.txt"]));
+});
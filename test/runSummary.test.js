@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureLogger, logger, withLogContext } from "../helpers/logger.js";
+import { createRunSummary, findMissingFields, groupFailuresByReason } from "../helpers/runSummary.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+
+const rows = [
+  {
+    Handle: "test-sandals",
+    Title: "Test Sandals",
+    "Body (HTML)": "",
+    "Option1 Name": "Size",
+    "Option1 Value": "7",
+    "Variant Price": "120.00",
+    "Image Src": "https://slimages.macysassets.com/red-1.tif",
+    original_product_url: URL,
+  },
+  { Handle: "test-sandals", "Option1 Value": "8", "Variant Price": "", original_product_url: URL },
+];
+
+test("log entries carry the URL context and go to the file as JSON lines", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "logger-"));
+  const filePath = path.join(dir, "run.log.jsonl");
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  configureLogger({ level: "info", filePath });
+  t.after(() => configureLogger({ level: "info", filePath: "" }));
+
+  logger.debug("hidden below the level");
+  await withLogContext({ url: URL }, async () => {
+    await Promise.resolve();
+    logger.warn("⚠️ Price not found on page.", { field: "price" });
+  });
+  logger.info("✅ Done");
+
+  const entries = fs.readFileSync(filePath, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(entries.length, 2);
+  assert.deepEqual(
+    { level: entries[0].level, message: entries[0].message, url: entries[0].url, field: entries[0].field },
+    { level: "warn", message: "⚠️ Price not found on page.", url: URL, field: "price" }
+  );
+  assert.equal(entries[1].url, undefined);
+  assert.equal(console.log.mock.calls.length, 1);
+});
+
+test("missing fields are read from the exported rows", () => {
+  assert.deepEqual(findMissingFields(rows), ["description", "price"]);
+  assert.deepEqual(findMissingFields([{ Handle: "x", Title: "X", "Body (HTML)": "<p>x</p>" }]), [
+    "variants",
+    "images",
+  ]);
+});
+
+test("failures are grouped by error type or first error line", () => {
+  const groups = groupFailuresByReason([
+    { url: "a", error: "Blocked", errorType: "blocked" },
+    { url: "b", error: "Failed to load https://x.test/b after 3 attempts\nstack" },
+    { url: "c", error: "Failed to load https://x.test/c after 3 attempts" },
+    "not-a-url",
+  ]);
+  assert.deepEqual(Object.keys(groups), [
+    "blocked",
+    "Failed to load <url> after 3 attempts",
+    "Invalid input entry",
+  ]);
+  assert.equal(groups["Failed to load <url> after 3 attempts"].length, 2);
+});
+
+test("the run summary counts products and collects warnings by field", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const summary = createRunSummary();
+  withLogContext({ url: URL }, () => logger.warn("⚠️ Could not extract list items:", "timeout", { field: "description" }));
+  summary.recordProduct(URL, { durationMs: 1500, status: "ok" });
+  const result = summary.finish({ products: [rows], failedUrls: [{ url: "b", error: "Timeout" }] });
+
+  assert.deepEqual(result.counts, { products: 1, variants: 1, rows: 2, failed: 1, rejectedRows: 0, warnings: 3 });
+  assert.deepEqual(result.warningsByField.description.map((w) => w.message), [
+    "⚠️ Could not extract list items: timeout",
+    "No description in the exported rows.",
+  ]);
+  assert.deepEqual(result.timings, [{ url: URL, durationMs: 1500, status: "ok" }]);
+
+  // Warnings after finish() are no longer collected.
+  logger.warn("late", { field: "price" });
+  assert.equal(result.warningsByField.price.length, 1);
+});
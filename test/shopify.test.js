@@ -0,0 +1,179 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { buildProductSetInput, createShopifyClient, imageFileKey, pushToShopify } from "../helpers/shopify.js";
+import { REVIEW_COLUMNS } from "../helpers/reviews.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+
+function row(color, size, extra = {}) {
+  return {
+    Handle: "test-sandals",
+    Title: "Test Brand, Test Sandals",
+    "Body (HTML)": "<p>Sandals.</p>",
+    Vendor: "Test Brand",
+    Type: "Footwear",
+    Tags: "Women, Shoes",
+    "Option1 Name": "Color",
+    "Option1 Value": color,
+    "Option2 Name": "Size",
+    "Option2 Value": size,
+    "Variant SKU": `1001-${color.toUpperCase()}-${size}`,
+    "Variant Price": "120.00",
+    "Variant Compare At Price": "80.00",
+    "Cost per item": "80.00",
+    "Image Src": "",
+    "Variant Image": `https://slimages.macysassets.com/${color}.tif`,
+    "Variant Inventory Tracker": "shopify",
+    "Variant Inventory Policy": "deny",
+    "Variant Inventory Qty": 10,
+    original_product_url: URL,
+    ...extra,
+  };
+}
+
+const ROWS = [
+  row("Red", "7", { "Image Src": "https://slimages.macysassets.com/Red.tif", "Image Position": 1 }),
+  row("Red", "8", { "Variant Inventory Qty": 0 }),
+];
+
+test("buildProductSetInput maps rows to a productSet input", () => {
+  const input = buildProductSetInput(ROWS, { locationId: "gid://shopify/Location/1" });
+  assert.equal(input.handle, "test-sandals");
+  assert.deepEqual(input.tags, ["Women", "Shoes"]);
+  assert.deepEqual(input.productOptions, [
+    { name: "Color", position: 1, values: [{ name: "Red" }] },
+    { name: "Size", position: 2, values: [{ name: "7" }, { name: "8" }] },
+  ]);
+  assert.equal(input.variants[1].inventoryQuantities[0].quantity, 0);
+  assert.equal(input.files.length, 1);
+  assert.equal(input.id, undefined);
+});
+
+test("buildProductSetInput reuses the store's ids and uploads only new images", () => {
+  const existing = {
+    id: "gid://shopify/Product/9",
+    media: {
+      nodes: [
+        { id: "gid://shopify/MediaImage/1", image: { url: "https://cdn.shopify.com/s/files/1/files/Red.jpg?v=1" } },
+        { id: "gid://shopify/MediaImage/2", image: { url: "https://cdn.shopify.com/s/files/1/files/manual.png?v=1" } },
+      ],
+    },
+    variants: { nodes: [{ id: "gid://shopify/ProductVariant/5", sku: "1001-RED-8" }] },
+  };
+  const rows = [
+    ...ROWS,
+    { Handle: "test-sandals", "Image Src": "https://slimages.macysassets.com/Red-side.tif", "Image Position": 2 },
+  ];
+  const input = buildProductSetInput(rows, { existing });
+  assert.equal(input.id, existing.id);
+  assert.equal(input.variants[0].id, undefined);
+  assert.equal(input.variants[1].id, "gid://shopify/ProductVariant/5");
+  assert.deepEqual(input.variants[0].file, { id: "gid://shopify/MediaImage/1" });
+  assert.deepEqual(input.files, [
+    { id: "gid://shopify/MediaImage/1" },
+    { originalSource: "https://slimages.macysassets.com/Red-side.tif", contentType: "IMAGE", alt: "Test Brand, Test Sandals" },
+    { id: "gid://shopify/MediaImage/2" },
+  ]);
+});
+
+test("buildProductSetInput types review metafields", () => {
+  const rated = (rating, count) => [{ ...ROWS[0], [REVIEW_COLUMNS.rating]: rating, [REVIEW_COLUMNS.count]: count }, ROWS[1]];
+  assert.deepEqual(buildProductSetInput(rated(4, 87)).metafields, [
+    { namespace: "custom", key: "rating", type: "rating", value: '{"value":"4.0","scale_min":"1.0","scale_max":"5.0"}' },
+    { namespace: "custom", key: "review_count", type: "number_integer", value: "87" },
+  ]);
+  // A zero rating is outside Shopify's 1-5 scale, so only the count is sent.
+  assert.deepEqual(
+    buildProductSetInput(rated(0, 0)).metafields.map((field) => field.key),
+    ["review_count"]
+  );
+});
+
+test("imageFileKey matches store files renamed by Shopify", () => {
+  const key = imageFileKey("https://slimages.macysassets.com/is/image/MCY/products/4/optimized/2_fpx.tif?wid=1200");
+  assert.equal(key, "2_fpx");
+  assert.equal(imageFileKey("https://cdn.shopify.com/s/files/1/files/2_fpx_0c2f5e1a-1b2c-4d3e-8f90-1234567890ab.jpg?v=3"), key);
+});
+
+// Mock Admin API: answers by operation name and throttles the first mutation.
+let server;
+let endpoint;
+const received = [];
+
+before(async () => {
+  let throttledOnce = false;
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { query, variables } = JSON.parse(body);
+      received.push({ token: req.headers["x-shopify-access-token"], query, variables });
+      const cost = (available) => ({
+        requestedQueryCost: 10,
+        actualQueryCost: 10,
+        throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 1000 },
+      });
+      let payload;
+      if (query.includes("FirstLocation")) {
+        payload = { data: { locations: { nodes: [{ id: "gid://shopify/Location/1" }] } } };
+      } else if (query.includes("FindProduct")) {
+        payload = { data: { products: { nodes: [] } } };
+      } else if (!throttledOnce) {
+        throttledOnce = true;
+        payload = { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] };
+        payload.extensions = { cost: cost(0) };
+      } else if (variables.input.handle === "broken") {
+        payload = {
+          data: { productSet: { product: null, userErrors: [{ field: ["input", "title"], message: "can't be blank" }] } },
+        };
+      } else {
+        payload = {
+          data: { productSet: { product: { id: "gid://shopify/Product/1", handle: variables.input.handle }, userErrors: [] } },
+        };
+      }
+      payload.extensions ??= { cost: cost(990) };
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/admin/api/2024-10/graphql.json`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("pushToShopify creates products, retries throttled calls and reports failures", async () => {
+  const client = createShopifyClient({ endpoint, accessToken: "shpat_test" });
+  const broken = ROWS.map((r) => ({ ...r, Handle: "broken", original_product_url: "https://example.com/broken" }));
+  const { pushed, failed } = await pushToShopify([...ROWS, ...broken], { client });
+
+  assert.deepEqual(pushed, [{ handle: "test-sandals", id: "gid://shopify/Product/1", action: "created" }]);
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].url, "https://example.com/broken");
+  assert.match(failed[0].error, /input\.title: can't be blank/);
+  assert.ok(received.every((r) => r.token === "shpat_test"));
+  assert.equal(received.filter((r) => r.query.includes("ProductSet")).length, 3);
+});
+
+test("dry run sends nothing", async () => {
+  const before = received.length;
+  const { planned, pushed } = await pushToShopify(ROWS, { client: null, dryRun: true });
+  assert.equal(planned.length, 1);
+  assert.deepEqual(pushed, []);
+  assert.equal(received.length, before);
+});
+
+test("a product with a third option is reported instead of pushed", async () => {
+  const threeOptions = ROWS.map((r) => ({ ...r, "Option3 Name": "Width", "Option3 Value": "Wide" }));
+  assert.throws(() => buildProductSetInput(threeOptions), /third option \("Width"\)/);
+
+  const { planned, failed } = await pushToShopify([...threeOptions, row("Blue", "7", { Handle: "other" })], {
+    client: null,
+    dryRun: true,
+  });
+  assert.deepEqual(planned.map((input) => input.handle), ["other"]);
+  assert.deepEqual(failed, [
+    { url: URL, handle: "test-sandals", error: 'Shopify push: has a third option ("Width"); only two are pushed' },
+  ]);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assignVariantSkus, buildVariantSku, setSkuPattern } from "../helpers/sku.js";
+
+test("SKU patterns fill their tokens and collapse empty ones", () => {
+  assert.equal(buildVariantSku({ id: "1001", options: ["Red Muse", "7.5 M"] }), "1001-RED-MUSE-7-5-M");
+  assert.equal(buildVariantSku({ id: "1001", handle: "sandals" }, "{handle}-{option1}-{id}"), "sandals-1001");
+});
+
+test("{sku} uses the retailer's SKU and falls back to {id}-{options}", (t) => {
+  t.after(() => setSkuPattern(""));
+  setSkuPattern("{sku}");
+  const product = {
+    id: "1001",
+    handle: "sandals",
+    variants: [
+      { sku: "", sourceSku: "mcy 4411", options: { Color: "Red" } },
+      { sku: "", sourceSku: "", options: { Color: "Blue" } },
+    ],
+  };
+  assignVariantSkus(product);
+  assert.deepEqual(product.variants.map((variant) => variant.sku), ["MCY-4411", "1001-BLUE"]);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffAgainstState, loadState, revertFailedProducts } from "../helpers/state.js";
+
+const URL = "https://www.macys.com/shop/product/test-sandals?ID=1001";
+
+function row(size, { price = "120.00", qty = 10, image = "red-1" } = {}) {
+  return {
+    Handle: "test-sandals",
+    Title: "Test Sandals",
+    "Option1 Name": "Size",
+    "Option1 Value": size,
+    "Variant SKU": `1001-${size}`,
+    "Variant Price": price,
+    "Variant Compare At Price": "80.00",
+    "Variant Inventory Qty": qty,
+    "Variant Image": `https://slimages.macysassets.com/${image}.tif`,
+    original_product_url: URL,
+  };
+}
+
+const emptyState = { products: {} };
+
+test("every product is new on the first run", () => {
+  const rows = [row("7"), row("8")];
+  const { report, updateRows, state } = diffAgainstState(emptyState, [rows]);
+  assert.equal(report.newProducts.length, 1);
+  assert.equal(report.newProducts[0].id, "1001");
+  assert.deepEqual(updateRows, rows);
+  assert.deepEqual(Object.keys(state.products["1001"].variants), ["7", "8"]);
+});
+
+test("an unchanged re-run exports nothing", () => {
+  const { state } = diffAgainstState(emptyState, [[row("7"), row("8")]]);
+  const { report, updateRows } = diffAgainstState(state, [[row("7"), row("8")]]);
+  assert.deepEqual(updateRows, []);
+  assert.ok(Object.values(report).every((list) => list.length === 0));
+});
+
+test("price, stock, image and variant changes are reported", () => {
+  const { state } = diffAgainstState(emptyState, [
+    [row("7"), row("8", { qty: 0 }), row("9"), row("10")],
+  ]);
+  const next = [
+    row("7", { price: "130.00" }),
+    row("8"),
+    row("9", { image: "red-2" }),
+    row("11"),
+  ];
+  const { report, updateRows } = diffAgainstState(state, [next]);
+
+  assert.deepEqual(report.priceIncreases.map((c) => [c.variant, c.from, c.to]), [["7", "120.00", "130.00"]]);
+  assert.deepEqual(report.backInStock.map((c) => c.variant), ["8"]);
+  assert.deepEqual(report.imageChanges.map((c) => c.variant), ["9"]);
+  assert.deepEqual(report.newVariants.map((c) => c.variant), ["11"]);
+  assert.deepEqual(report.removedVariants.map((c) => c.sku), ["1001-10"]);
+  assert.deepEqual(updateRows.map((r) => r["Option1 Value"]), ["7", "8", "9", "11"]);
+});
+
+test("products missing from this run stay in the state", () => {
+  const { state } = diffAgainstState(emptyState, [[row("7")]]);
+  const { report, state: next } = diffAgainstState(state, []);
+  assert.deepEqual(report.removedVariants, []);
+  assert.ok(next.products["1001"]);
+});
+
+test("a changed product is exported with all of its rows", () => {
+  const imageRow = { Handle: "test-sandals", "Image Src": "https://x.test/2.jpg", "Image Position": 2 };
+  const { state } = diffAgainstState(emptyState, [[row("7"), row("8"), imageRow]]);
+  const next = [row("7"), row("8", { price: "99.00" }), imageRow];
+  assert.deepEqual(diffAgainstState(state, [next]).updateRows, next);
+});
+
+test("variants rejected by validation are not reported as removed", () => {
+  const { state } = diffAgainstState(emptyState, [[row("7"), row("8")]]);
+  const rejected = row("8", { price: "$1O.00" });
+  const { report, updateRows, state: next } = diffAgainstState(state, [[row("7")]], {
+    rejectedRows: [{ row: rejected, reason: "Variant Price is not a number" }],
+  });
+  assert.deepEqual(report.removedVariants, []);
+  assert.deepEqual(updateRows, []);
+  assert.deepEqual(Object.keys(next.products["1001"].variants), ["7", "8"]);
+});
+
+test("state files written before the image hash was renamed compare as before", () => {
+  const { state } = diffAgainstState(emptyState, [[row("7")]]);
+  const { imageUrlHash, ...variant } = state.products["1001"].variants["7"];
+  const oldProduct = { ...state.products["1001"], variants: { "7": { ...variant, imageHash: imageUrlHash } } };
+  const oldState = { products: { "1001": oldProduct } };
+  assert.deepEqual(diffAgainstState(oldState, [[row("7")]]).report.imageChanges, []);
+});
+
+test("products whose push failed keep their last state", () => {
+  const { state: previous } = diffAgainstState(emptyState, [[row("7")]]);
+  const { state } = diffAgainstState(previous, [[row("7", { price: "99.00" })]]);
+  const failed = [{ url: URL, handle: "test-sandals", error: "Shopify push: throttled" }];
+  assert.deepEqual(revertFailedProducts(state, previous, failed).products, previous.products);
+  assert.deepEqual(revertFailedProducts(state, emptyState, failed).products, {});
+});
+
+test("a state file that can't be read stops the run", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "state-"));
+  const statePath = path.join(dir, "state.json");
+  assert.deepEqual(loadState(statePath).products, {});
+  fs.writeFileSync(statePath, "{\"products\":", "utf-8");
+  assert.throws(() => loadState(statePath), /is not valid JSON/);
+  fs.writeFileSync(statePath, JSON.stringify({ products: [] }), "utf-8");
+  assert.throws(() => loadState(statePath), /has no "products" object/);
+  fs.writeFileSync(statePath, JSON.stringify({ version: 99, products: {} }), "utf-8");
+  assert.throws(() => loadState(statePath), /is version 99/);
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateProductRows, validateRows } from "../helpers/validation.js";
+
+function row(color, size, extra = {}) {
+  return {
+    Handle: "test-sandals",
+    Title: "",
+    "Option1 Name": "Color",
+    "Option1 Value": color,
+    "Option2 Name": "Size",
+    "Option2 Value": size,
+    "Variant SKU": `1001-${color}-${size}`.toUpperCase(),
+    "Variant Price": "120.00",
+    "Variant Compare At Price": "150.00",
+    "Cost per item": "80.00",
+    ...extra,
+  };
+}
+
+const first = (extra = {}) => row("Red", "7", { Title: "Test Sandals", ...extra });
+const imageRow = { Handle: "test-sandals", "Image Src": "https://x.test/2.jpg", "Image Position": 2 };
+
+test("a clean product passes untouched", () => {
+  const rows = [first(), row("Red", "8"), imageRow];
+  assert.deepEqual(validateProductRows(rows), { valid: rows, rejected: [] });
+});
+
+test("bad variant rows are rejected one by one with a reason", () => {
+  const rows = [
+    first(),
+    row("Red", "8", { "Variant Price": "" }),
+    row("Red", "9", { "Variant Price": "$1O.00" }),
+    row("Red", "10", { "Variant Compare At Price": "n/a" }),
+    row("Blue", ""),
+    row("Red", "7", { "Variant SKU": "OTHER" }),
+    row("Blue", "7", { "Option1 Name": "Colour" }),
+    { Handle: "test-sandals" },
+  ];
+  const { valid, rejected } = validateProductRows(rows);
+  assert.deepEqual(valid, [rows[0]]);
+  assert.deepEqual(
+    rejected.map((r) => r.reason),
+    [
+      "Empty Variant Price",
+      'Variant Price "$1O.00" is not a number',
+      'Variant Compare At Price "n/a" is not a number',
+      "Blank Option2 Value",
+      'Duplicate option combination "Red / 7"',
+      'Option1 Name "Colour" differs from the product\'s "Color"',
+      "Row has neither a variant nor an image",
+    ]
+  );
+});
+
+test("product-level problems reject every row of the product", () => {
+  const reasons = (rows) => [...new Set(validateProductRows(rows).rejected.map((r) => r.reason))];
+
+  assert.deepEqual(reasons([first({ Handle: "Test Sandals" }), row("Red", "8")]), [
+    'Invalid Handle "Test Sandals" (use lowercase letters, digits and hyphens)',
+  ]);
+  assert.deepEqual(reasons([first({ Title: "" }), row("Red", "8")]), [
+    "Empty Title on the product's first row",
+  ]);
+  assert.deepEqual(reasons([first({ "Variant Price": "" }), row("Red", "8"), imageRow]), [
+    "Empty Variant Price",
+    "Product's first row was rejected: Empty Variant Price",
+  ]);
+});
+
+test("validateRows keeps the valid rows of every product in order", () => {
+  const other = { Handle: "other-shoe", Title: "Other", "Variant Price": "10", "Variant SKU": "2" };
+  const broken = { Handle: "broken", Title: "Broken", "Variant Price": "", "Variant SKU": "3" };
+  const { validRows, rejectedRows } = validateRows([first(), other, broken, row("Red", "8")]);
+  assert.deepEqual(validRows.map((r) => r.Handle), ["test-sandals", "test-sandals", "other-shoe"]);
+  assert.deepEqual(rejectedRows, [{ row: broken, reason: "Empty Variant Price" }]);
+});
+
+test("duplicate Variant SKUs are rejected within a product and across the run", () => {
+  const twin = row("Red", "8", { "Variant SKU": "1001-RED-7" });
+  assert.deepEqual(validateProductRows([first(), twin]).rejected, [
+    { row: twin, reason: 'Duplicate Variant SKU "1001-RED-7" (also on test-sandals)' },
+  ]);
+
+  const other = { Handle: "other-shoe", Title: "Other", "Variant Price": "10", "Variant SKU": "1001-RED-8" };
+  const { validRows, rejectedRows } = validateRows([first(), row("Red", "8"), other]);
+  assert.equal(validRows.length, 2);
+  assert.deepEqual(rejectedRows, [
+    { row: other, reason: 'Duplicate Variant SKU "1001-RED-8" (also on test-sandals)' },
+  ]);
+});
+
+test("a rejected variant row keeps its gallery image on an image-only row", () => {
+  const withImage = row("Red", "8", {
+    "Variant Price": "",
+    "Image Src": "https://x.test/2.jpg",
+    "Image Position": 2,
+    "Image Alt Text": "Red side",
+  });
+  const { valid, rejected } = validateProductRows([first(), withImage]);
+  assert.deepEqual(valid.slice(1), [
+    { Handle: "test-sandals", "Image Src": "https://x.test/2.jpg", "Image Position": 2, "Image Alt Text": "Red side" },
+  ]);
+  assert.deepEqual(rejected, [{ row: withImage, reason: "Empty Variant Price" }]);
+});